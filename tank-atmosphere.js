@@ -0,0 +1,198 @@
+/**
+ * ============================================
+ * SPECIMEN: LOOKAWAY TANK
+ * ORGAN: ATMOSPHERE
+ * RETRIEVAL: October 2025, Lookaway Archive
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Renders the per-stage fluid settings as CSS variables
+ * DEPENDENCIES: tank-config.js (stage blocks), tank-decay.js (stage)
+ *
+ * SURGICAL NOTES:
+ * TANK_CONFIG describes the tank's feel per stage - breathing,
+ * vignette, scanlines, blur, textShadow, flicker - but nothing read
+ * those blocks; the :root values in index.html were typed in by hand
+ * and a flicker event changed none of them. This organ subscribes to
+ * tankDecay and eases a single mix value between preservation (0)
+ * and flicker (1), writing every interpolated value to :root on each
+ * heartbeat tick.
+ *
+ * Breathing is no longer a CSS keyframe: the background glow's
+ * opacity is computed here from a phase that advances at the
+ * configured breathing speed, so a faster or slower cycle (even one
+ * changing mid-breath) never jumps. The keyframe stays in index.html
+ * as the fallback until start() marks the page atmosphere-live.
+ *
+ * Values are read from TANK_CONFIG on every tick - retuning the
+ * tank's feel is a config-only change, live.
+ * ============================================
+ */
+
+const tankAtmosphere = {
+
+  // ==========================================
+  // FLUID STATE
+  // (Technical: Interpolation and breathing state)
+  // ==========================================
+
+  mix: 0,                  // 0 = preservation, 1 = flicker (eased)
+  target: 0,               // Where the mix is heading
+  smoothing: 0.35,         // Share of the remaining distance closed per tick
+  written: null,           // Mix last written to :root (skips idle rewrites)
+  phase: 0,                // Breathing cycle position (0-1)
+  lastTick: null,          // Timestamp of the previous heartbeat
+  root: null,              // <html> - carries the variables
+  started: false,
+
+  // CSS variable ← TANK_CONFIG[section][stage][key], with unit
+  channels: [
+    { variable: '--vignette-radius', section: 'vignette', key: 'radius', unit: '%' },
+    { variable: '--vignette-opacity', section: 'vignette', key: 'opacity', unit: '' },
+    { variable: '--scanline-opacity', section: 'scanlines', key: 'opacity', unit: '' },
+    { variable: '--scanline-speed', section: 'scanlines', key: 'speed', unit: 's' },
+    { variable: '--text-title-blur', section: 'blur', key: 'title', unit: 'px' },
+    { variable: '--text-body-blur', section: 'blur', key: 'text', unit: 'px' },
+    { variable: '--membrane-blur', section: 'blur', key: 'membrane', unit: 'px' },
+    { variable: '--text-shadow-spread', section: 'textShadow', key: 'spread', unit: 'px' },
+    { variable: '--text-shadow-intensity', section: 'textShadow', key: 'intensity', unit: '' },
+    { variable: '--flicker-speed', section: 'flicker', key: 'speed', unit: 's' },
+    { variable: '--flicker-brightness', section: 'flicker', key: 'brightness', unit: '' }
+  ],
+
+  breathBrightness: 0.2,   // Extra brightness at the top of a breath
+
+  // ==========================================
+  // BIRTH SEQUENCE
+  // (Technical: Subscribe to tankDecay, write the resting state)
+  // ==========================================
+
+  start() {
+    if (this.started) return;
+
+    if (typeof window.tankDecay === 'undefined') {
+      console.error('❌ tank-atmosphere.js requires tank-decay.js');
+      return;
+    }
+
+    const sections = ['breathing', ...new Set(this.channels.map(channel => channel.section))];
+    if (TANK_CONFIG.preflight('tank-atmosphere.js', sections).length) return;
+
+    this.root = document.documentElement;
+    this.lastTick = Date.now();
+    this.writeChannels();
+    this.breathe(0);
+
+    // Breathing is driven from here now, not the CSS keyframe
+    this.root.classList.add('atmosphere-live');
+
+    window.tankDecay.subscribe((stage) => this.update(stage));
+    
+    // LIVE RETUNING - Settled fluid takes a retuned value at once
+    // (breathing is recomputed every tick regardless)
+    if (typeof TANK_CONFIG.subscribe === 'function') {
+      TANK_CONFIG.subscribe((path) => {
+        if (sections.includes(path.split('.')[0])) {
+          this.writeChannels();
+        }
+      });
+    }
+    this.started = true;
+
+    console.log('🌫️ Atmosphere rendering from TANK_CONFIG');
+  },
+
+  // ==========================================
+  // HEARTBEAT - One step per tankDecay broadcast
+  // ==========================================
+
+  update(stage) {
+    const now = Date.now();
+    const elapsed = now - this.lastTick;
+    this.lastTick = now;
+
+    // EASING - Drift toward the stage instead of snapping to it
+    this.target = stage === 'flicker' ? 1 : 0;
+    this.mix += (this.target - this.mix) * this.smoothing;
+    if (Math.abs(this.target - this.mix) < 0.001) this.mix = this.target;
+
+    // Settled fluid is not rewritten every 100ms
+    if (this.mix !== this.written && (Math.abs(this.mix - this.written) >= 0.002 || this.mix === this.target)) {
+      this.writeChannels();
+    }
+
+    this.breathe(elapsed);
+  },
+
+  // ==========================================
+  // INTERPOLATION - preservation ↔ flicker at the current mix
+  // ==========================================
+
+  value(section, key) {
+    const block = TANK_CONFIG[section];
+    const from = block.preservation[key];
+    const to = block.flicker ? block.flicker[key] : from;
+    return from + (to - from) * this.mix;
+  },
+
+  writeChannels() {
+    this.channels.forEach(({ variable, section, key, unit }) => {
+      const value = this.value(section, key);
+      this.root.style.setProperty(variable, `${+value.toFixed(4)}${unit}`);
+    });
+    this.written = this.mix;
+  },
+
+  // ==========================================
+  // RESPIRATION - Phase advances at the configured speed
+  // (Technical: speed is the cycle length in seconds)
+  // ==========================================
+
+  breathe(elapsed) {
+    const speed = Math.max(this.value('breathing', 'speed'), 0.1);
+    this.phase = (this.phase + elapsed / (speed * 1000)) % 1;
+
+    // 0 at exhale, 1 at the inhale peak (mid-cycle)
+    const depth = 0.5 - 0.5 * Math.cos(this.phase * Math.PI * 2);
+    const min = this.value('breathing', 'opacityMin');
+    const max = this.value('breathing', 'opacityMax');
+
+    this.root.style.setProperty('--breathing-speed', `${+speed.toFixed(3)}s`);
+    this.root.style.setProperty('--breathing-opacity', (min + (max - min) * depth).toFixed(4));
+    this.root.style.setProperty('--breathing-brightness', (1 + this.breathBrightness * depth).toFixed(4));
+  },
+
+  // ==========================================
+  // STATUS REPORT
+  // (Technical: Debug information)
+  // ==========================================
+
+  getStatus() {
+    return {
+      mix: this.mix,
+      target: this.target,
+      phase: this.phase,
+      started: this.started
+    };
+  }
+};
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof TANK_CONFIG === 'undefined') {
+  console.error('❌ tank-atmosphere.js requires tank-config.js to be loaded first!');
+}
+
+// ==========================================
+// EXPORT VERIFICATION
+// (Technical: Confirm successful load)
+// ==========================================
+
+if (typeof window !== 'undefined') {
+  window.tankAtmosphere = tankAtmosphere;
+}
+
+console.log('✓ tank-atmosphere.js loaded - Atmosphere ready');
@@ -2,13 +2,17 @@
  * ============================================
  * LOOKAWAY TANK AUDIO MODULE v1.0
  * Adapted from: LEAK-WORM-847T audio DNA
- * Integration: tank-decay.js lifecycle
+ * Integration: tank-decay.js lifecycle, tank-interaction.js presence
  * ============================================
  * 
  * SOUND MAP:
  * - 60Hz CRT hum (preservation/flicker states)
  * - Beam sweep + text/membrane contact + fizz
  * - Membrane click (specimen selection)
+ * - Reserved tap (held slot) / archive knock (decommissioned slot)
+ * - Passphrase gate: denied buzz / granted chirp
+ * - Containment achieved (scheduled release): seal thump + amber triad
+ * - Wing shift (grid pages to another tank wing): channel-switch thunk
  * - Flicker surge (power fluctuation event)
  * - Popup open/close
  * 
@@ -345,6 +349,188 @@ class TankAudio {
         osc.stop(this.context.currentTime + 0.1);
     }
     
+    // Reserved slot tap - two muted taps, slot is held but empty
+    triggerReservedClick() {
+        if (!this.ready || this.volumeLevel === 0) return;
+        
+        const volumeMultipliers = [0, 0.3, 0.6, 1.0];
+        const volume = 0.035 * volumeMultipliers[this.volumeLevel];
+        
+        [0, 0.09].forEach(offset => {
+            const osc = this.context.createOscillator();
+            const gain = this.context.createGain();
+            const start = this.context.currentTime + offset;
+            
+            osc.type = 'sine';
+            osc.frequency.value = 520;
+            
+            gain.gain.setValueAtTime(volume, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.06);
+            
+            osc.connect(gain);
+            gain.connect(this.nodes.masterGain);
+            
+            osc.start(start);
+            osc.stop(start + 0.08);
+        });
+    }
+    
+    // Archive knock (decommissioned slot) - low dull thud, no ring
+    triggerArchiveClick() {
+        if (!this.ready || this.volumeLevel === 0) return;
+        
+        const osc = this.context.createOscillator();
+        const filter = this.context.createBiquadFilter();
+        const gain = this.context.createGain();
+        
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(180, this.context.currentTime);
+        osc.frequency.exponentialRampToValueAtTime(90, this.context.currentTime + 0.12);
+        
+        filter.type = 'lowpass';
+        filter.frequency.value = 600;
+        
+        const volumeMultipliers = [0, 0.3, 0.6, 1.0];
+        const volume = 0.06 * volumeMultipliers[this.volumeLevel];
+        
+        gain.gain.setValueAtTime(volume, this.context.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, this.context.currentTime + 0.15);
+        
+        osc.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.nodes.masterGain);
+        
+        osc.start();
+        osc.stop(this.context.currentTime + 0.16);
+    }
+    
+    // Passphrase rejected - two detuned ember buzzes
+    triggerGateDenied() {
+        if (!this.ready || this.volumeLevel === 0) return;
+        
+        const volumeMultipliers = [0, 0.3, 0.6, 1.0];
+        const volume = 0.045 * volumeMultipliers[this.volumeLevel];
+        
+        [0, 0.14].forEach(offset => {
+            const osc = this.context.createOscillator();
+            const filter = this.context.createBiquadFilter();
+            const gain = this.context.createGain();
+            const start = this.context.currentTime + offset;
+            
+            osc.type = 'square';
+            osc.frequency.setValueAtTime(140, start);
+            osc.frequency.linearRampToValueAtTime(118, start + 0.1);
+            
+            filter.type = 'lowpass';
+            filter.frequency.value = 900;
+            
+            gain.gain.setValueAtTime(volume, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.11);
+            
+            osc.connect(filter);
+            filter.connect(gain);
+            gain.connect(this.nodes.masterGain);
+            
+            osc.start(start);
+            osc.stop(start + 0.12);
+        });
+    }
+    
+    // Passphrase accepted - rising phosphor chirp
+    triggerGateGranted() {
+        if (!this.ready || this.volumeLevel === 0) return;
+        
+        const osc = this.context.createOscillator();
+        const gain = this.context.createGain();
+        
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(440, this.context.currentTime);
+        osc.frequency.exponentialRampToValueAtTime(1320, this.context.currentTime + 0.18);
+        
+        const volumeMultipliers = [0, 0.3, 0.6, 1.0];
+        const volume = 0.04 * volumeMultipliers[this.volumeLevel];
+        
+        gain.gain.setValueAtTime(volume, this.context.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, this.context.currentTime + 0.25);
+        
+        osc.connect(gain);
+        gain.connect(this.nodes.masterGain);
+        
+        osc.start();
+        osc.stop(this.context.currentTime + 0.26);
+    }
+    
+    // Scheduled release landed - seal thump, then a rising amber triad
+    triggerContainmentAchieved() {
+        if (!this.ready || this.volumeLevel === 0) return;
+        
+        const volumeMultipliers = [0, 0.3, 0.6, 1.0];
+        const volume = 0.05 * volumeMultipliers[this.volumeLevel];
+        const now = this.context.currentTime;
+        
+        const thump = this.context.createOscillator();
+        const thumpGain = this.context.createGain();
+        thump.type = 'sine';
+        thump.frequency.setValueAtTime(90, now);
+        thump.frequency.exponentialRampToValueAtTime(40, now + 0.3);
+        thumpGain.gain.setValueAtTime(volume * 1.5, now);
+        thumpGain.gain.exponentialRampToValueAtTime(0.001, now + 0.35);
+        thump.connect(thumpGain);
+        thumpGain.connect(this.nodes.masterGain);
+        thump.start(now);
+        thump.stop(now + 0.36);
+        
+        [330, 415, 495].forEach((frequency, i) => {
+            const osc = this.context.createOscillator();
+            const gain = this.context.createGain();
+            const start = now + 0.25 + i * 0.12;
+            
+            osc.type = 'sine';
+            osc.frequency.value = frequency;
+            
+            gain.gain.setValueAtTime(0.001, start);
+            gain.gain.exponentialRampToValueAtTime(volume, start + 0.03);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 1.2);
+            
+            osc.connect(gain);
+            gain.connect(this.nodes.masterGain);
+            
+            osc.start(start);
+            osc.stop(start + 1.25);
+        });
+    }
+    
+    // Tank wing change - CRT channel switch, a filtered downward thunk
+    triggerWingShift() {
+        if (!this.ready || this.volumeLevel === 0) return;
+        
+        const osc = this.context.createOscillator();
+        const filter = this.context.createBiquadFilter();
+        const gain = this.context.createGain();
+        const now = this.context.currentTime;
+        
+        osc.type = 'sawtooth';
+        osc.frequency.setValueAtTime(220, now);
+        osc.frequency.exponentialRampToValueAtTime(55, now + 0.18);
+        
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(1600, now);
+        filter.frequency.exponentialRampToValueAtTime(200, now + 0.18);
+        
+        const volumeMultipliers = [0, 0.3, 0.6, 1.0];
+        const volume = 0.035 * volumeMultipliers[this.volumeLevel];
+        
+        gain.gain.setValueAtTime(volume, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + 0.22);
+        
+        osc.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.nodes.masterGain);
+        
+        osc.start(now);
+        osc.stop(now + 0.23);
+    }
+    
     // Popup open
     triggerPopupOpen() {
         if (!this.ready || this.volumeLevel === 0) return;
@@ -528,8 +714,8 @@ function integrateTankAudio() {
         width: 32px;
         height: 20px;
         padding: 3px 6px;
-        background: rgba(185, 140, 36, 0.056);
-        border: 1px solid rgba(185, 140, 36, 0.245);
+        background: rgba(var(--control-r), var(--control-g), var(--control-b), 0.056);
+        border: 1px solid rgba(var(--control-r), var(--control-g), var(--control-b), 0.245);
         border-radius: 2px;
         z-index: 500;
         transition: all 0.3s;
@@ -552,7 +738,7 @@ function integrateTankAudio() {
         }
         .bar {
             width: 2px;
-            background: rgb(185, 140, 36);
+            background: rgb(var(--control-r), var(--control-g), var(--control-b));
             transition: all 0.3s;
             opacity: 0.125;
         }
@@ -569,8 +755,8 @@ function integrateTankAudio() {
         .volume-3 .bar { opacity: 0.85; }
         
         #audio-toggle:hover {
-            background: rgba(185, 140, 36, 0.096);
-            border-color: rgba(185, 140, 36, 0.32);
+            background: rgba(var(--control-r), var(--control-g), var(--control-b), 0.096);
+            border-color: rgba(var(--control-r), var(--control-g), var(--control-b), 0.32);
             opacity: 0.8;
         }
         
@@ -590,8 +776,12 @@ function integrateTankAudio() {
     // Start at volume 1 (LOW) by default
     volumeBtn.className = 'volume-1';
     
-    // Auto-initialize audio on first user interaction
+    // Auto-initialize audio on the first user gesture
+    // (presence flagged activation by tank-interaction.js - still
+    // inside the browser gesture, so autoplay is allowed)
+    let autoInitTried = false;
     const autoInit = async () => {
+        autoInitTried = true;
         if (!audio.ready) {
             const initialized = await audio.init();
             if (initialized) {
@@ -599,16 +789,15 @@ function integrateTankAudio() {
                 console.log('🔊 Audio auto-initialized at LOW volume');
             }
         }
-        // Remove listeners after first interaction
-        document.removeEventListener('click', autoInit);
-        document.removeEventListener('keydown', autoInit);
-        document.removeEventListener('touchstart', autoInit);
     };
     
-    // Listen for first user interaction
-    document.addEventListener('click', autoInit);
-    document.addEventListener('keydown', autoInit);
-    document.addEventListener('touchstart', autoInit);
+    if (window.tankInteraction) {
+        window.tankInteraction.subscribe((type, detail) => {
+            if (type === 'presence' && detail.activation && !autoInitTried) {
+                autoInit();
+            }
+        });
+    }
     
     // Volume cycling: 1→2→3→0→1
     volumeBtn.onclick = async function() {
@@ -664,10 +853,16 @@ function integrateTankAudio() {
         console.log('✔ Audio hooked to tank decay lifecycle');
     }
     
-    // Hook membrane clicks
+    // Hook membrane clicks (sound follows slot status)
     document.addEventListener('click', (e) => {
         const membrane = e.target.closest('.membrane:not(.empty)');
-        if (membrane) {
+        if (!membrane) return;
+        
+        if (membrane.classList.contains('reserved')) {
+            audio.triggerReservedClick();
+        } else if (membrane.classList.contains('decommissioned')) {
+            audio.triggerArchiveClick();
+        } else {
             audio.triggerMembraneClick();
         }
     });
@@ -689,12 +884,38 @@ function integrateTankAudio() {
         };
     }
     
-    // Hook "RETRIEVE PASSWORD" button (copy to clipboard sound)
+    // Hook tank wing changes (only when the wing actually changed)
+    const originalShowWing = window.showWing;
+    if (originalShowWing) {
+        window.showWing = function(...args) {
+            const shifted = originalShowWing.apply(this, args);
+            if (shifted) {
+                audio.triggerWingShift();
+            }
+            return shifted;
+        };
+    }
+    
+    // Hook scheduled releases (SPECIMENS 'release' transition)
+    if (typeof SPECIMENS !== 'undefined') {
+        SPECIMENS.subscribe((event, slot, record) => {
+            if (record && record.name === 'release') {
+                audio.triggerContainmentAchieved();
+            }
+        });
+    }
+    
+    // Hook "RETRIEVE PASSWORD" button - water drop only when the
+    // password actually reached the clipboard (not the on-screen reveal)
     const originalLeakData = window.leakSpecimenData;
     if (originalLeakData) {
         window.leakSpecimenData = function(...args) {
-            audio.triggerWaterDrop();
-            return originalLeakData.apply(this, args);
+            return Promise.resolve(originalLeakData.apply(this, args)).then(path => {
+                if (path === 'clipboard' || path === 'selection') {
+                    audio.triggerWaterDrop();
+                }
+                return path;
+            });
         };
     }
     
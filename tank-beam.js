@@ -5,7 +5,7 @@
  * RETRIEVAL: October 2025, Lookaway Archive
  * ============================================
  * 
- * STATUS: Operational - v2.1 PASSWORD NOTE INTERACTION
+ * STATUS: Operational - v2.4 CONFIG SWEEP
  * FUNCTION: Container vision apparatus - electron beam scanning for membrane detection
  * DEPENDENCIES: tank-decay.js (lifecycle sync), tank-config.js (visual parameters)
  * 
@@ -22,6 +22,16 @@
  * - Popup text elements (including password note)
  * 
  * Empty membranes are excluded - they are dead, no phosphor response.
+ * Membranes fire bubbling 'beamcontact' / 'beamrelease' events when
+ * contact starts or ends, so the renderer can react (relation
+ * connectors) without polling the beam.
+ *
+ * Decommissioned membranes are cold glass - they warm on approach
+ * but never fire the hotspot. Reserved membranes respond like any
+ * live membrane (outline only, styled in index.html).
+ *
+ * v2.4: Sweep speed per stage comes from TANK_CONFIG.beam and is
+ * re-read when it is retuned at runtime (TANK_CONFIG.subscribe).
  * ============================================
  */
 
@@ -37,7 +47,8 @@ class TankBeamModule {
     // NEURAL STATE - Vision processing
     this.isPaused = false;
     this.collisionCheckInterval = null;
-    this.currentSpeed = 12;
+    this.stage = 'preservation';
+    this.currentSpeed = null;   // Read from TANK_CONFIG.beam after preflight
   }
   
   // ==========================================
@@ -45,6 +56,9 @@ class TankBeamModule {
   // ==========================================
   
   init() {
+    if (TANK_CONFIG.preflight('tank-beam.js', ['beam']).length) return false;
+    
+    this.currentSpeed = TANK_CONFIG.beam.preservation.speed;
     this.createBeamElements();
     this.setRandomStart();
     this.startCollisionDetection();
@@ -56,6 +70,15 @@ class TankBeamModule {
       });
     }
     
+    // LIVE RETUNING - beam.* speed changes apply on the spot
+    if (typeof TANK_CONFIG.subscribe === 'function') {
+      TANK_CONFIG.subscribe((path) => {
+        if (path.startsWith('beam.')) {
+          this.syncToPreservation(this.stage);
+        }
+      });
+    }
+    
     console.log('👁️ Tank beam system initialized');
   }
   
@@ -100,12 +123,10 @@ class TankBeamModule {
   // ==========================================
   
   syncToPreservation(stage, progress) {
-    const speeds = {
-      preservation: 12,
-      flicker: 10
-    };
+    const speeds = TANK_CONFIG.beam;
+    this.stage = stage;
     
-    const newSpeed = speeds[stage] || 12;
+    const newSpeed = (speeds[stage] || speeds.preservation).speed;
     
     if (newSpeed !== this.currentSpeed) {
       this.currentSpeed = newSpeed;
@@ -172,9 +193,16 @@ class TankBeamModule {
           this.glow.classList.add('approaching');
           target.classList.add('beam-approaching');
           
+          // COLD GLASS - Archived membranes never reach contact
+          // (one decommissioned mid-contact still releases)
+          if (target.classList.contains('decommissioned')) {
+            this.setContact(target, false);
+            return;
+          }
+          
           // DIRECT CONTACT
           if (distance < Math.max(20, rect.height / 2)) {
-            target.classList.add('beam-contact');
+            this.setContact(target, true);
             this.hotspot.classList.add('active');
             hitSomething = true;
             
@@ -184,7 +212,7 @@ class TankBeamModule {
               organism.style.opacity = '1';
             }
           } else {
-            target.classList.remove('beam-contact');
+            this.setContact(target, false);
             
             const organism = target.querySelector('.membrane-organism');
             if (organism) {
@@ -192,7 +220,8 @@ class TankBeamModule {
             }
           }
         } else {
-          target.classList.remove('beam-contact', 'beam-approaching');
+          this.setContact(target, false);
+          target.classList.remove('beam-approaching');
           
           const organism = target.querySelector('.membrane-organism');
           if (organism) {
@@ -209,6 +238,22 @@ class TankBeamModule {
     }, checkInterval);
   }
   
+  // ==========================================
+  // CONTACT SIGNALLING - Membranes announce beam touch
+  // (Technical: beamcontact / beamrelease DOM events, fired on change)
+  // ==========================================
+  
+  setContact(target, inContact) {
+    const wasInContact = target.classList.contains('beam-contact');
+    if (wasInContact === inContact) return;
+    
+    target.classList.toggle('beam-contact', inContact);
+    
+    if (target.classList.contains('membrane')) {
+      target.dispatchEvent(new CustomEvent(inContact ? 'beamcontact' : 'beamrelease', { bubbles: true }));
+    }
+  }
+  
   // ==========================================
   // VISION CONTROL
   // ==========================================
@@ -263,4 +308,4 @@ if (typeof window !== 'undefined') {
   window.TankBeamModule = TankBeamModule;
 }
 
-console.log('✔ tank-beam.js loaded - Scanning system ready (password note interaction enabled)');
\ No newline at end of file
+console.log('✔ tank-beam.js loaded - Scanning system ready (password note + archive membrane interaction enabled)');
\ No newline at end of file
@@ -5,7 +5,7 @@
  * RETRIEVAL: October 2025, Lookaway Archive
  * ============================================
  * 
- * STATUS: Operational - HOT AMBER PALETTE v3.0
+ * STATUS: Operational - HOT AMBER PALETTE v3.5
  * FUNCTION: Container nervous system constants - preservation parameters
  * DEPENDENCIES: None (primary organ, all others feed from this)
  * 
@@ -17,6 +17,36 @@
  * 
  * Flicker state BOOSTED for more dramatic power surge events.
  * Particles match new glow intensity for cohesive atmosphere.
+ * 
+ * v3.1: The tank grows in wings. Capacity is grid.wings wings of
+ * grid.wingSize compartments (totalSlots is derived); the grid
+ * shows one wing at a time. Add a wing when the last one fills.
+ * 
+ * v3.2: colors is now the page's palette, not a description of it.
+ * tank-palette.js writes it into the CSS variables at boot; the
+ * status phosphors (hot ember family) and control color moved in
+ * from literals in index.html / tank-audio.js. Named palettes
+ * below are partial overrides merged over colors, switchable at
+ * runtime with TANK_PALETTE.use(name).
+ * 
+ * v3.3: Live retuning. TANK_CONFIG.set(path, value) changes a value
+ * at runtime and broadcasts (path, value) to subscribed organs
+ * (decay, atmosphere, palette, beam, particles, grid), which pick it
+ * up without a reload. The tuning panel (tank-tuning.js) is the
+ * front end. Beam sweep speed moved in here from tank-beam.js, and
+ * particles now read their counts and speeds from this file.
+ * 
+ * v3.4: Every value has a schema entry (TANK_CONFIG.schema: type,
+ * range, enum). check() returns structured errors - { path,
+ * expected, received, message } - instead of logging; extend(partial)
+ * deep-merges only a partial that passes, and set() is one leaf of
+ * it. Organs call preflight() on their sections before starting and
+ * stay down on invalid config. Ordered pairs (rangePairs - breathing
+ * opacityMin <= opacityMax) are checked on the merged result, so a
+ * partial moving only one side of a pair is refused too.
+ * 
+ * v3.5: interaction is live - tank-interaction.js binds resetEvents,
+ * throttles presence to throttleMs and reports idle after idleMs.
  * ============================================
  */
 
@@ -31,6 +61,7 @@ const TANK_CONFIG = {
     // PRESERVATION METABOLISM - Stable container lifecycle
     preservation: 300000,  // 5 minutes - stable preservation cycle
     flicker: 10000,        // 10s - occasional power surge events
+    passwordReveal: 15000, // 15s - on-screen password before self-redaction
     
     // TOTAL STABILITY - No death cycle
     total: Infinity
@@ -80,7 +111,88 @@ const TANK_CONFIG = {
     beam: { r: 180, g: 160, b: 90 },
     
     // PARTICLE COLOR - Match new glow
-    particle: { r: 190, g: 165, b: 95 }
+    particle: { r: 190, g: 165, b: 95 },
+    
+    // STATUS PHOSPHORS - Registry status families (harmony-checked)
+    status: {
+      active: { r: 200, g: 165, b: 70 },      // Electric amber - contained
+      ember: { r: 220, g: 110, b: 40 },       // Hot ember edge - in progress
+      emberGlow: { r: 230, g: 130, b: 60 },   // Ember halo
+      emberText: { r: 245, g: 175, b: 95 },   // Ember phosphor text
+      emberPale: { r: 245, g: 200, b: 150 },  // Ember body copy
+      archived: { r: 80, g: 80, b: 80 }       // Cold glass - decommissioned
+    },
+    
+    // CONTROL SURFACES - Volume toggle chrome
+    control: { r: 185, g: 140, b: 36 }
+  },
+  
+  // ==========================================
+  // NAMED PALETTES - Alternate preservation fluids
+  // (Technical: Partial colors overrides, merged over colors;
+  // membrane overrides membrane.active.borderColor)
+  // ==========================================
+  
+  palette: 'electricAmber',   // Applied at boot
+  
+  palettes: {
+    // ELECTRIC AMBER - colors as written above
+    electricAmber: {},
+    
+    // FORMALDEHYDE - The stagnant pre-v3 fluid, yellow-green murk
+    formaldehyde: {
+      preservation: {
+        core: { r: 85, g: 95, b: 60 },
+        glow: { r: 150, g: 160, b: 110 },
+        text: { r: 185, g: 190, b: 120 }
+      },
+      flicker: {
+        core: { r: 100, g: 110, b: 70 },
+        glow: { r: 170, g: 180, b: 125 },
+        text: { r: 205, g: 205, b: 135 }
+      },
+      subtitle: { r: 115, g: 115, b: 60 },
+      popup: {
+        container: { r: 60, g: 65, b: 45 },
+        border: { r: 150, g: 155, b: 110 },
+        text: { r: 210, g: 210, b: 185 },
+        glow: { r: 150, g: 160, b: 110 },
+        label: { r: 135, g: 140, b: 90 }
+      },
+      ambientGlow: { r: 150, g: 160, b: 110 },
+      beam: { r: 150, g: 160, b: 110 },
+      particle: { r: 160, g: 165, b: 115 },
+      membrane: { r: 200, g: 210, b: 130 },
+      control: { r: 150, g: 150, b: 70 }
+    },
+    
+    // HIGH CONTRAST - Same family, full phosphor, darker fluid
+    highContrast: {
+      preservation: {
+        core: { r: 60, g: 50, b: 20 },
+        glow: { r: 255, g: 210, b: 110 },
+        text: { r: 255, g: 225, b: 120 }
+      },
+      flicker: {
+        core: { r: 70, g: 58, b: 24 },
+        glow: { r: 255, g: 220, b: 130 },
+        text: { r: 255, g: 235, b: 150 },
+        textOpacity: 1.0
+      },
+      subtitle: { r: 230, g: 190, b: 90 },
+      popup: {
+        container: { r: 20, g: 16, b: 8 },
+        border: { r: 255, g: 215, b: 130 },
+        text: { r: 255, g: 245, b: 225 },
+        glow: { r: 255, g: 210, b: 110 },
+        label: { r: 240, g: 200, b: 110 }
+      },
+      ambientGlow: { r: 255, g: 210, b: 110 },
+      beam: { r: 255, g: 210, b: 110 },
+      particle: { r: 255, g: 215, b: 130 },
+      membrane: { r: 255, g: 235, b: 140 },
+      control: { r: 240, g: 190, b: 70 }
+    }
   },
   
   // ==========================================
@@ -120,7 +232,14 @@ const TANK_CONFIG = {
   // ==========================================
   
   grid: {
-    totalSlots: 12,      // 12 specimen compartments
+    wingSize: 12,        // 12 specimen compartments per wing
+    wings: 1,            // Wings in the tank - add one when the last fills
+    
+    // Whole-tank capacity (registry capacity rule reads this)
+    get totalSlots() {
+      return this.wingSize * this.wings;
+    },
+    
     columns: {
       desktop: 3,        // 3×4 grid on large screens
       tablet: 2,         // 2×6 grid on medium screens
@@ -150,6 +269,20 @@ const TANK_CONFIG = {
     }
   },
   
+  // ==========================================
+  // ELECTRON BEAM - Sweep timing
+  // (Technical: Seconds per top-to-bottom pass, per stage)
+  // ==========================================
+  
+  beam: {
+    preservation: {
+      speed: 12          // Steady scan
+    },
+    flicker: {
+      speed: 10          // Faster sweep during the surge
+    }
+  },
+  
   // ==========================================
   // RESPIRATORY RHYTHM - Opacity pulsation cycles
   // (Technical: Breathing animation parameters)
@@ -252,7 +385,7 @@ const TANK_CONFIG = {
   
   // ==========================================
   // SENSORY RESPONSE CONFIGURATION
-  // (Technical: User interaction event settings)
+  // (Technical: Read by tank-interaction.js, rebinds when retuned)
   // ==========================================
   
   interaction: {
@@ -263,7 +396,8 @@ const TANK_CONFIG = {
       'touchstart',      // Tactile input
       'keydown'          // Keyboard activity
     ],
-    throttleMs: 100      // Reaction latency
+    throttleMs: 100,     // Reaction latency (presence at most this often)
+    idleMs: 60000        // Stillness before the visitor counts as idle
   }
 };
 
@@ -292,6 +426,10 @@ TANK_CONFIG.getColors = function(state = 'preservation') {
   return this.colors[state] || this.colors.preservation;
 };
 
+TANK_CONFIG.getWingSize = function() {
+  return this.grid.wingSize;
+};
+
 TANK_CONFIG.getGridColumns = function() {
   const width = window.innerWidth;
   if (width >= 1025) return this.grid.columns.desktop;
@@ -299,35 +437,357 @@ TANK_CONFIG.getGridColumns = function() {
   return this.grid.columns.mobile;
 };
 
-TANK_CONFIG.validate = function() {
-  const required = [
-    'timings.preservation',
-    'timings.flicker',
-    'colors.preservation',
-    'colors.popup',
-    'membrane',
-    'grid.totalSlots',
-    'breathing',
-    'vignette',
-    'scanlines',
-    'particles'
-  ];
-  
-  let valid = true;
-  required.forEach(path => {
-    const parts = path.split('.');
-    let obj = this;
-    for (let part of parts) {
-      if (!obj.hasOwnProperty(part)) {
-        console.error(`❌ Missing required config: ${path}`);
-        valid = false;
-        break;
+// ==========================================
+// CONFIG SCHEMA - Types, ranges and enums for every value
+// (Technical: Leaves are { type, min, max, values }; other nodes
+// mirror TANK_CONFIG. 'map' nodes hold named entries of one shape)
+// ==========================================
+
+TANK_CONFIG.schema = (() => {
+  const rgb = { type: 'rgb' };                              // { r, g, b } integers 0-255
+  const opacity = { type: 'number', min: 0, max: 1 };
+  const blur = { type: 'number', min: 0, max: 10 };         // px
+  const stages = shape => ({ preservation: shape, flicker: shape });
+  
+  const stageColors = { core: rgb, glow: rgb, text: rgb, textOpacity: opacity };
+  const colors = {
+    preservation: stageColors,
+    flicker: stageColors,
+    subtitle: rgb,
+    popup: { container: rgb, border: rgb, text: rgb, glow: rgb, label: rgb },
+    background: rgb,
+    ambientGlow: rgb,
+    beam: rgb,
+    particle: rgb,
+    status: { active: rgb, ember: rgb, emberGlow: rgb, emberText: rgb, emberPale: rgb, archived: rgb },
+    control: rgb
+  };
+  const membraneState = {
+    borderColor: rgb,
+    saturation: opacity,
+    blur,
+    opacity
+  };
+  const layerCount = { type: 'integer', min: 0, max: 500 };
+  const driftSpeed = { type: 'number', min: 1 };            // s
+  
+  return {
+    timings: {
+      preservation: { type: 'integer', min: 1000 },          // ms
+      flicker: { type: 'integer', min: 1000 },               // ms - a flicker lasts 1s
+      passwordReveal: { type: 'integer', min: 1000 },        // ms
+      total: { type: 'number', min: 0, infinite: true }
+    },
+    colors,
+    palette: { type: 'string', values: partial => Object.keys({ ...TANK_CONFIG.palettes, ...(partial && partial.palettes) }) },
+    palettes: { type: 'map', of: { ...colors, membrane: rgb } },
+    membrane: { active: membraneState, empty: membraneState, hover: membraneState },
+    grid: {
+      wingSize: { type: 'integer', min: 1 },
+      wings: { type: 'integer', min: 1 },
+      totalSlots: { derived: true },
+      columns: {
+        desktop: { type: 'integer', min: 1, max: 12 },
+        tablet: { type: 'integer', min: 1, max: 12 },
+        mobile: { type: 'integer', min: 1, max: 12 }
       }
-      obj = obj[part];
+    },
+    particles: {
+      far: layerCount,
+      mid: layerCount,
+      near: layerCount,
+      baseOpacity: opacity,
+      speeds: { far: driftSpeed, mid: driftSpeed, near: driftSpeed }
+    },
+    beam: stages({ speed: { type: 'number', min: 1 } }),
+    breathing: stages({ speed: { type: 'number', min: 1 }, opacityMin: opacity, opacityMax: opacity }),
+    vignette: stages({ radius: { type: 'number', min: 0, max: 100 }, opacity }),
+    scanlines: stages({ opacity, speed: { type: 'number', min: 0.1 } }),
+    blur: stages({ title: blur, text: blur, membrane: blur }),
+    textShadow: stages({ spread: { type: 'number', min: 0, max: 200 }, intensity: opacity }),
+    flicker: stages({ speed: { type: 'number', min: 0.01 }, brightness: { type: 'number', min: 0, max: 2 } }),
+    interaction: {
+      resetEvents: {
+        type: 'list',
+        values: ['scroll', 'mousemove', 'click', 'touchstart', 'keydown', 'pointermove', 'pointerdown', 'wheel', 'touchmove']
+      },
+      throttleMs: { type: 'integer', min: 0, max: 5000 },
+      idleMs: { type: 'integer', min: 1000 }
     }
-  });
+  };
+})();
+
+// ==========================================
+// SCHEMA CHECK - Structured errors, nothing thrown
+// (Technical: [{ path, expected, received, message }]; partial
+// mode checks only what is present and refuses derived keys)
+// ==========================================
+
+TANK_CONFIG.check = function(value, schema = this.schema, path = '', options = {}) {
+  const errors = [];
+  const fail = (at, expected, received, message) => errors.push({ path: at, expected, received, message });
+  const describe = received => (Array.isArray(received) ? 'array' : received === null ? 'null' : typeof received);
   
-  return valid;
+  const walk = (node, shape, at, partial = options.partial) => {
+    if (!shape) {
+      fail(at, 'known key', node, `unknown config key "${at}"`);
+      return;
+    }
+    if (shape.derived) {
+      if (partial) fail(at, 'derived', node, 'derived value - set its inputs instead');
+      return;
+    }
+    
+    switch (shape.type) {
+      case 'number':
+      case 'integer': {
+        const finite = shape.infinite ? node === Infinity || Number.isFinite(node) : Number.isFinite(node);
+        if (typeof node !== 'number' || !finite || (shape.type === 'integer' && node !== Infinity && !Number.isInteger(node))) {
+          fail(at, shape.type, node, `must be ${shape.type === 'integer' ? 'an integer' : 'a number'}, got ${describe(node)} ${typeof node === 'number' ? node : JSON.stringify(node)}`);
+        } else if (node < (shape.min ?? -Infinity) || node > (shape.max ?? Infinity)) {
+          fail(at, `${shape.min ?? '-∞'}..${shape.max ?? '∞'}`, node, `out of range (${shape.min ?? '-∞'} to ${shape.max ?? '∞'}), got ${node}`);
+        }
+        return;
+      }
+      case 'string': {
+        const allowed = typeof shape.values === 'function' ? shape.values(options.root) : shape.values;
+        if (typeof node !== 'string') {
+          fail(at, 'string', node, `must be a string, got ${describe(node)}`);
+        } else if (allowed && !allowed.includes(node)) {
+          fail(at, allowed.join(' | '), node, `must be one of ${allowed.join(', ')}, got "${node}"`);
+        }
+        return;
+      }
+      case 'rgb': {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+          fail(at, 'rgb', node, `must be { r, g, b }, got ${describe(node)}`);
+          return;
+        }
+        ['r', 'g', 'b'].forEach(channel => {
+          const level = node[channel];
+          if (!Number.isInteger(level) || level < 0 || level > 255) {
+            fail(`${at}.${channel}`, '0..255', level, `must be an integer 0-255, got ${JSON.stringify(level)}`);
+          }
+        });
+        Object.keys(node).filter(key => !['r', 'g', 'b'].includes(key)).forEach(key => {
+          fail(`${at}.${key}`, 'r | g | b', node[key], `unknown color channel "${key}"`);
+        });
+        return;
+      }
+      case 'list': {
+        if (!Array.isArray(node)) {
+          fail(at, 'array', node, `must be an array, got ${describe(node)}`);
+          return;
+        }
+        node.forEach((item, index) => {
+          if (!shape.values.includes(item)) {
+            fail(`${at}.${index}`, shape.values.join(' | '), item, `must be one of ${shape.values.join(', ')}, got ${JSON.stringify(item)}`);
+          }
+        });
+        return;
+      }
+    }
+    
+    // Object nodes (and 'map' nodes of named entries)
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      fail(at, 'object', node, `must be an object, got ${describe(node)}`);
+      return;
+    }
+    
+    // Prototype keys never reach the merge (JSON.parse makes them own)
+    const keys = Object.keys(node).filter(key => {
+      if (!this.reservedKeys.includes(key)) return true;
+      fail(at ? `${at}.${key}` : key, 'config key', key, `reserved key "${key}" not allowed`);
+      return false;
+    });
+    
+    // Map entries (named palettes) are partial overrides
+    if (shape.type === 'map') {
+      keys.forEach(name => walk(node[name], shape.of, at ? `${at}.${name}` : name, true));
+      return;
+    }
+    
+    Object.keys(shape).forEach(key => {
+      const child = at ? `${at}.${key}` : key;
+      if (!Object.hasOwn(node, key)) {
+        if (!partial && !shape[key].derived) {
+          fail(child, 'present', undefined, 'missing required config');
+        }
+        return;
+      }
+      walk(node[key], shape[key], child, partial);
+    });
+    
+    keys
+      .filter(key => !Object.hasOwn(shape, key))
+      .forEach(key => fail(at ? `${at}.${key}` : key, 'known key', node[key], `unknown config key "${key}"`));
+  };
+  
+  walk(value, schema, path);
+  return errors;
+};
+
+// ==========================================
+// CROSS-FIELD RULES - [low, high] paths that must stay ordered
+// (Technical: check() sees one value at a time; these compare the
+// merged result, so a partial moving one side is still caught)
+// ==========================================
+
+TANK_CONFIG.rangePairs = ['preservation', 'flicker'].map(stage => [
+  `breathing.${stage}.opacityMin`,
+  `breathing.${stage}.opacityMax`
+]);
+
+TANK_CONFIG.checkRanges = function(partial = null, sections = null) {
+  const read = (source, path) => path.split('.').reduce(
+    (node, part) => (node && typeof node === 'object' && Object.hasOwn(node, part) ? node[part] : undefined), source);
+  const pick = path => {
+    const next = partial ? read(partial, path) : undefined;
+    return next !== undefined ? next : read(this, path);
+  };
+  
+  return this.rangePairs
+    .filter(([low]) => !sections || sections.includes(low.split('.')[0]))
+    .filter(([low, high]) => typeof pick(low) === 'number' && typeof pick(high) === 'number' && pick(low) > pick(high))
+    .map(([low, high]) => ({
+      path: low,
+      expected: `<= ${high}`,
+      received: pick(low),
+      message: `${low} (${pick(low)}) must not exceed ${high} (${pick(high)})`
+    }));
+};
+
+// Whole config (or just the named sections) against the schema
+TANK_CONFIG.validate = function(sections = null) {
+  const data = {};
+  const shape = {};
+  Object.keys(this.schema)
+    .filter(key => !sections || sections.includes(key))
+    .forEach(key => {
+      shape[key] = this.schema[key];
+      if (Object.hasOwn(this, key)) data[key] = this[key];
+    });
+  
+  return [...this.check(data, shape), ...this.checkRanges(null, sections)];
+};
+
+// Organs call this before starting: an empty array means clear
+// to boot; otherwise the organ stays down and the errors say why
+TANK_CONFIG.preflight = function(organ, sections) {
+  const errors = this.validate(sections);
+  if (errors.length) {
+    console.error(`❌ ${organ} not started - invalid config:`);
+    errors.forEach(error => console.error(`   ${error.path}: ${error.message}`));
+  }
+  return errors;
+};
+
+// ==========================================
+// RUNTIME OVERRIDES - Live retuning
+// (Technical: extend() deep-merges a validated partial and
+// broadcasts each changed leaf path; set() is one leaf of it)
+// ==========================================
+
+TANK_CONFIG.listeners = [];
+
+// Segments that would walk into Object.prototype
+TANK_CONFIG.reservedKeys = ['__proto__', 'constructor', 'prototype'];
+
+// Same { path, expected, received, message } shape as check()
+TANK_CONFIG.checkPath = function(path) {
+  const parts = String(path).split('.');
+  const reserved = parts.find(part => this.reservedKeys.includes(part));
+  if (reserved) {
+    return [{ path, expected: 'config path', received: path, message: `reserved key "${reserved}" not allowed` }];
+  }
+  if (parts.some(part => part === '')) {
+    return [{ path, expected: 'config path', received: path, message: 'empty path segment' }];
+  }
+  return [];
+};
+
+TANK_CONFIG.get = function(path) {
+  if (this.checkPath(path).length) return undefined;
+  return path.split('.').reduce((node, part) => (node != null && Object.hasOwn(Object(node), part) ? node[part] : undefined), this);
+};
+
+// Returns { ok, errors, changed } - nothing applied unless ok
+TANK_CONFIG.extend = function(partial) {
+  const errors = this.check(partial, this.schema, '', { partial: true, root: partial });
+  if (!errors.length) {
+    errors.push(...this.checkRanges(partial));
+  }
+  if (errors.length) {
+    return { ok: false, errors, changed: [] };
+  }
+  
+  const changed = [];
+  const copy = value => (Array.isArray(value) ? [...value] : value && typeof value === 'object' ? { ...value } : value);
+  
+  // check() has vetted every key; a missing schema entry is still
+  // reported rather than dereferenced
+  const merge = (target, source, shape, at) => {
+    Object.keys(source).forEach(key => {
+      const path = at ? `${at}.${key}` : key;
+      const child = shape.type === 'map' ? shape.of : Object.hasOwn(shape, key) ? shape[key] : null;
+      if (!child || this.reservedKeys.includes(key)) {
+        errors.push({ path, expected: 'known key', received: source[key], message: `unknown config key "${key}"` });
+        return;
+      }
+      const current = Object.hasOwn(target, key) ? target[key] : undefined;
+      
+      if (child.type && child.type !== 'map') {
+        if (current !== source[key] && JSON.stringify(current) !== JSON.stringify(source[key])) {
+          target[key] = copy(source[key]);
+          changed.push(path);
+        }
+        return;
+      }
+      
+      if (!current || typeof current !== 'object') target[key] = {};
+      merge(target[key], source[key], child, path);
+    });
+  };
+  
+  merge(this, partial, this.schema, '');
+  if (errors.length) {
+    return { ok: false, errors, changed };
+  }
+  changed.forEach(path => this.notify(path, this.get(path)));
+  return { ok: true, errors: [], changed };
+};
+
+// One leaf as a nested partial - { ok, errors, changed } like extend()
+TANK_CONFIG.extendAt = function(path, value) {
+  const errors = this.checkPath(path);
+  if (errors.length) {
+    return { ok: false, errors, changed: [] };
+  }
+  return this.extend(String(path).split('.').reduceRight((inner, key) => ({ [key]: inner }), value));
+};
+
+TANK_CONFIG.set = function(path, value) {
+  const result = this.extendAt(path, value);
+  result.errors.forEach(error => console.error(`❌ Config ${error.path}: ${error.message}`));
+  return result.ok;
+};
+
+TANK_CONFIG.subscribe = function(callback) {
+  if (typeof callback !== 'function') {
+    console.error('❌ Subscribe requires a function callback');
+    return;
+  }
+  this.listeners.push(callback);
+};
+
+TANK_CONFIG.notify = function(path, value) {
+  this.listeners.forEach(callback => {
+    try {
+      callback(path, value);
+    } catch (error) {
+      console.error('❌ Config listener error:', error);
+    }
+  });
 };
 
 // ==========================================
@@ -339,4 +799,9 @@ if (typeof window !== 'undefined') {
   window.TANK_CONFIG = TANK_CONFIG;
 }
 
-console.log('✓ tank-config.js loaded - LOOKAWAY Tank configuration active (HOT AMBER PALETTE v3.0)');
\ No newline at end of file
+// tests/config.test.js loads the module under Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TANK_CONFIG;
+}
+
+console.log('✓ tank-config.js loaded - LOOKAWAY Tank configuration active (HOT AMBER PALETTE v3.5)');
\ No newline at end of file
@@ -23,7 +23,7 @@
  * The controller broadcasts state changes to all subscribed organs
  * via neural pathways (pub-sub pattern). User interaction resets
  * the flicker cycle, maintaining clean preservation during active
- * observation.
+ * observation - presence arrives throttled from tank-interaction.js.
  * ============================================
  */
 
@@ -48,6 +48,9 @@ const tankDecay = {
   // ==========================================
   
   start() {
+    // PREFLIGHT - No heartbeat on timings the schema rejects
+    if (TANK_CONFIG.preflight('tank-decay.js', ['timings']).length) return false;
+    
     // CONTAINER ACTIVATION - First power-on
     // (Technical: Initialize state and start 100ms heartbeat)
     this.stage = 'preservation';
@@ -62,6 +65,27 @@ const tankDecay = {
     // (Technical: Trigger flicker every 10 seconds)
     this.startFlickerCycle();
     
+    // LIVE RETUNING - A new flicker interval restarts the cycle
+    // (Technical: TANK_CONFIG.set('timings.flicker', ms))
+    if (typeof TANK_CONFIG.subscribe === 'function') {
+      TANK_CONFIG.subscribe((path) => {
+        if (path === 'timings.flicker' && this.flickerTimer) {
+          clearInterval(this.flickerTimer);
+          this.startFlickerCycle();
+        }
+      });
+    }
+    
+    // STIMULUS RESPONSE - Visitor presence resets the flicker cycle
+    // (Technical: Throttled presence events from tank-interaction.js)
+    if (window.tankInteraction) {
+      window.tankInteraction.subscribe((type) => {
+        if (type === 'presence') {
+          this.reset();
+        }
+      });
+    }
+    
     // NEURAL BROADCAST - Alert all organs of awakening
     // (Technical: Notify subscribers of initial state)
     this.notify();
@@ -0,0 +1,196 @@
+/**
+ * ============================================
+ * SPECIMEN: LOOKAWAY TANK
+ * ORGAN: SENSORY NERVE
+ * RETRIEVAL: October 2025, Lookaway Archive
+ * ============================================
+ *
+ * STATUS: Operational - v1.0 SINGLE STIMULUS PATH
+ * FUNCTION: Turns visitor input into typed presence events
+ * DEPENDENCIES: tank-config.js (interaction)
+ *
+ * SURGICAL NOTES:
+ * TANK_CONFIG.interaction declared reset events and a throttle that
+ * nothing read: index.html bound five raw listeners straight to
+ * tankDecay.reset() (every mousemove, unthrottled) and tank-audio.js
+ * attached its own first-interaction listeners on top. This organ
+ * is now the only thing listening. It binds interaction.resetEvents
+ * on the document (capture, passive) and broadcasts:
+ *   presence - visitor activity, at most once per throttleMs
+ *              (leading edge, plus one trailing call so the last
+ *              movement in a burst still lands)
+ *   idle     - no presence for interaction.idleMs
+ *   return   - first presence after idle, with idleFor (ms)
+ *
+ * Gesture events (click, keydown, touchstart, pointerdown) skip the
+ * throttle and arrive flagged activation: true, inside the browser
+ * gesture - tank-audio.js unlocks autoplay on them. Drop them all
+ * from resetEvents and audio waits for the volume button.
+ *
+ * Subscribers: tankDecay (presence resets the flicker cycle) and
+ * tank-audio.js (autoplay unlock). Idle behavior subscribes here
+ * too. Retuning interaction.* rebinds live.
+ * ============================================
+ */
+
+const tankInteraction = {
+
+  // ==========================================
+  // NERVE STATE
+  // (Technical: Throttle, idle and binding bookkeeping)
+  // ==========================================
+
+  listeners: [],           // Presence event subscribers
+  bound: [],               // DOM event types currently listened to
+  lastPresence: null,      // Timestamp of the last stimulus
+  lastEmit: 0,             // Timestamp of the last presence broadcast
+  pending: null,           // Stimulus held for the trailing broadcast
+  trailingTimer: null,     // Trailing broadcast timeout ID
+  idleTimer: null,         // Idle detection timeout ID
+  idle: false,             // Visitor currently counted as idle
+  started: false,
+
+  // Stimuli the browser treats as a user gesture
+  activationEvents: ['click', 'keydown', 'touchstart', 'pointerdown'],
+
+  // ==========================================
+  // BIRTH SEQUENCE
+  // (Technical: Bind configured events, arm idle detection)
+  // ==========================================
+
+  start() {
+    if (this.started) return true;
+
+    if (TANK_CONFIG.preflight('tank-interaction.js', ['interaction']).length) return false;
+
+    this.handler = (event) => this.stimulus(event);
+    this.bind();
+    this.lastPresence = Date.now();
+    this.scheduleIdle();
+
+    // LIVE RETUNING - New events or timings rebind on the spot
+    TANK_CONFIG.subscribe((path) => {
+      if (path.startsWith('interaction.')) {
+        this.bind();
+        this.scheduleIdle();
+      }
+    });
+    this.started = true;
+
+    console.log(`👆 Interaction nerve live (${this.bound.join(', ')} / ${TANK_CONFIG.interaction.throttleMs}ms)`);
+    return true;
+  },
+
+  bind() {
+    this.bound.forEach(type => document.removeEventListener(type, this.handler, true));
+    this.bound = [...new Set(TANK_CONFIG.interaction.resetEvents)];
+    this.bound.forEach(type => document.addEventListener(type, this.handler, { capture: true, passive: true }));
+  },
+
+  // ==========================================
+  // STIMULUS PROCESSING - Throttle, idle, return
+  // ==========================================
+
+  stimulus(event) {
+    const now = Date.now();
+    const activation = this.activationEvents.includes(event.type);
+
+    // RETURN - First stimulus after idle, before its presence
+    if (this.idle) {
+      this.idle = false;
+      this.notify('return', { event: event.type, idleFor: now - this.lastPresence });
+    }
+
+    this.lastPresence = now;
+    this.scheduleIdle();
+
+    const wait = TANK_CONFIG.interaction.throttleMs - (now - this.lastEmit);
+    if (activation || wait <= 0) {
+      this.emit(event.type, activation);
+      return;
+    }
+
+    // Inside the window: hold the latest stimulus for the trailing edge
+    this.pending = event.type;
+    if (!this.trailingTimer) {
+      this.trailingTimer = setTimeout(() => {
+        if (this.pending && !this.idle) this.emit(this.pending, false);
+      }, wait);
+    }
+  },
+
+  emit(type, activation) {
+    clearTimeout(this.trailingTimer);
+    this.trailingTimer = null;
+    this.pending = null;
+    this.lastEmit = Date.now();
+    this.notify('presence', { event: type, activation, at: this.lastPresence });
+  },
+
+  scheduleIdle() {
+    clearTimeout(this.idleTimer);
+    const remaining = TANK_CONFIG.interaction.idleMs - (Date.now() - this.lastPresence);
+
+    this.idleTimer = setTimeout(() => {
+      this.idle = true;
+      this.notify('idle', { since: this.lastPresence, idleFor: Date.now() - this.lastPresence });
+    }, Math.max(remaining, 0));
+  },
+
+  // ==========================================
+  // NEURAL NETWORK - Presence broadcast
+  // (Technical: callback(type, detail); type is presence | idle | return)
+  // ==========================================
+
+  subscribe(callback) {
+    if (typeof callback !== 'function') {
+      console.error('❌ Subscribe requires a function callback');
+      return;
+    }
+    this.listeners.push(callback);
+  },
+
+  notify(type, detail) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(type, detail);
+      } catch (error) {
+        console.error('❌ Interaction listener error:', error);
+      }
+    });
+  },
+
+  // ==========================================
+  // STATUS REPORT
+  // (Technical: Debug information)
+  // ==========================================
+
+  getStatus() {
+    return {
+      bound: [...this.bound],
+      idle: this.idle,
+      sincePresence: this.lastPresence === null ? null : Date.now() - this.lastPresence,
+      started: this.started
+    };
+  }
+};
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof TANK_CONFIG === 'undefined') {
+  console.error('❌ tank-interaction.js requires tank-config.js to be loaded first!');
+}
+
+// ==========================================
+// EXPORT VERIFICATION
+// (Technical: Confirm successful load)
+// ==========================================
+
+if (typeof window !== 'undefined') {
+  window.tankInteraction = tankInteraction;
+}
+
+console.log('✓ tank-interaction.js loaded - Sensory nerve ready');
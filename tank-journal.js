@@ -0,0 +1,277 @@
+/**
+ * ============================================
+ * SPECIMEN: LOOKAWAY TANK
+ * ORGAN: OBSERVATION JOURNAL
+ * RETRIEVAL: October 2025, Lookaway Archive
+ * ============================================
+ *
+ * STATUS: Operational - v1.0 LOCAL MEMORY
+ * FUNCTION: Remembers what this visitor has already seen
+ * DEPENDENCIES: None (fed registry entries by index.html)
+ *
+ * SURGICAL NOTES:
+ * The tank used to forget every visitor at the door. The journal
+ * keeps a per-browser record of which specimens were opened (popup)
+ * and which were observed (OBSERVE SPECIMEN / OPEN ARCHIVE), with
+ * the metadata.version seen each time. index.html turns that into
+ * membrane markers:
+ *   NEW      - never opened or observed
+ *   UPDATED  - last seen at an older metadata.version
+ *   OBSERVED - entered at the current version
+ *
+ * Storage is localStorage only (key below). Nothing is sent
+ * anywhere; export() hands the visitor their own JSON, clear()
+ * wipes it. Blocked or corrupt storage degrades to an in-memory
+ * journal for the session.
+ *
+ * Entries are keyed by specimen code, so a specimen keeps its
+ * history if it changes slot. Placeholder codes ([EMPTY],
+ * [RETRIEVAL IN PROGRESS]) are never recorded.
+ * ============================================
+ */
+
+const TANK_JOURNAL = {
+
+  storageKey: 'lookaway-tank-journal',
+  format: 1,              // Stored shape version - other formats are discarded
+  entries: {},            // code → { opened, observed } records
+  listeners: [],          // Journal change subscribers
+
+  // Only these statuses wear NEW / UPDATED / OBSERVED markers
+  markedStatuses: ['contained', 'decommissioned'],
+
+  // ==========================================
+  // STORAGE - localStorage in, localStorage out
+  // ==========================================
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      if (stored && stored.format === this.format && stored.entries && typeof stored.entries === 'object') {
+        this.entries = {};
+        Object.entries(stored.entries).forEach(([code, entry]) => {
+          if (this.isEntry(entry)) {
+            this.entries[code] = entry;
+          } else {
+            console.warn(`⚠️ Observation journal entry dropped (malformed): ${code}`);
+          }
+        });
+      }
+    } catch (error) {
+      console.warn('⚠️ Observation journal unreadable, starting fresh:', error);
+    }
+
+    console.log(`✔ Observation journal loaded (${this.count()} specimens logged)`);
+    return this;
+  },
+
+  // An entry needs at least one well-formed record and nothing else
+  isEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return false;
+
+    const kinds = Object.keys(entry);
+    return kinds.length > 0 && kinds.every(kind => ['opened', 'observed'].includes(kind) && this.isRecord(entry[kind]));
+  },
+
+  isRecord(record) {
+    return !!record && typeof record === 'object' &&
+      Number.isInteger(record.count) && record.count > 0 &&
+      typeof record.first === 'string' && typeof record.last === 'string' &&
+      (record.version === null || ['string', 'number'].includes(typeof record.version));
+  },
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ format: this.format, entries: this.entries }));
+    } catch (error) {
+      console.warn('⚠️ Observation journal not saved (storage blocked):', error);
+    }
+  },
+
+  // ==========================================
+  // RECORDING - kind is 'opened' or 'observed'
+  // (Technical: {count, first, last, version} per kind)
+  // ==========================================
+
+  record(kind, specimen) {
+    if (!specimen || !specimen.code || /^\[.*\]$/.test(specimen.code)) return;
+
+    const entry = this.entries[specimen.code] || (this.entries[specimen.code] = {});
+    const prior = entry[kind];
+    const now = new Date().toISOString();
+
+    entry[kind] = {
+      count: (prior ? prior.count : 0) + 1,
+      first: prior ? prior.first : now,
+      last: now,
+      version: specimen.metadata?.version || null
+    };
+
+    this.save();
+    this.notify(kind, specimen.code);
+  },
+
+  recordOpen(specimen) {
+    this.record('opened', specimen);
+  },
+
+  recordObserve(specimen) {
+    this.record('observed', specimen);
+  },
+
+  // ==========================================
+  // READING
+  // ==========================================
+
+  getEntry(code) {
+    return this.entries[code] || null;
+  },
+
+  count() {
+    return Object.keys(this.entries).length;
+  },
+
+  // Most recent record of either kind
+  latest(entry) {
+    return [entry.opened, entry.observed]
+      .filter(Boolean)
+      .sort((a, b) => a.last.localeCompare(b.last))
+      .pop() || null;
+  },
+
+  // 'new' | 'updated' | 'observed' | null (opened, not entered)
+  getMarker(specimen) {
+    if (!specimen || !this.markedStatuses.includes(specimen.status)) return null;
+
+    const entry = this.getEntry(specimen.code);
+    if (!entry) return 'new';
+
+    const version = specimen.metadata?.version || null;
+    if ((this.latest(entry) || {}).version !== version) return 'updated';
+    if (entry.observed && entry.observed.version === version) return 'observed';
+    return null;
+  },
+
+  // ==========================================
+  // VISITOR CONTROLS - export / clear
+  // ==========================================
+
+  export() {
+    return JSON.stringify({
+      format: this.format,
+      exportedAt: new Date().toISOString(),
+      entries: this.entries
+    }, null, 2);
+  },
+
+  clear() {
+    this.entries = {};
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn('⚠️ Observation journal storage not cleared:', error);
+    }
+
+    console.log('🧹 Observation journal cleared');
+    this.notify('clear', null);
+  },
+
+  // ==========================================
+  // NEURAL NETWORK - Journal change broadcast
+  // (Technical: Observer pattern, same shape as SPECIMENS)
+  // ==========================================
+
+  subscribe(callback) {
+    if (typeof callback !== 'function') {
+      console.error('❌ Subscribe requires a function callback');
+      return;
+    }
+    this.listeners.push(callback);
+  },
+
+  notify(event, code) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(event, code);
+      } catch (error) {
+        console.error('❌ Journal listener error:', error);
+      }
+    });
+  },
+
+  // ==========================================
+  // GET POPUP CONTENT - Journal popup descriptor
+  // (Same shape as SPECIMENS.getPopupContent(); rendered by
+  // TANK_RENDER.popupTemplates.journal)
+  // ==========================================
+
+  getPopupContent(options = {}) {
+    const entries = Object.entries(this.entries)
+      .map(([code, entry]) => {
+        const latest = this.latest(entry) || {};
+        return {
+          code,
+          opened: entry.opened ? entry.opened.count : 0,
+          observed: entry.observed ? entry.observed.count : 0,
+          version: latest.version || null,
+          last: latest.last || null
+        };
+      })
+      .sort((a, b) => a.code.localeCompare(b.code));
+
+    if (options.confirmClear) {
+      return {
+        type: "journal",
+        title: "OBSERVATION JOURNAL :: CLEAR",
+        body: `[ erase ${entries.length} logged ${entries.length === 1 ? 'specimen' : 'specimens'} from this browser? ]`,
+        entries: [],
+        buttons: [
+          {
+            text: "CONFIRM CLEAR",
+            action: "confirm-clear-journal",
+            primary: true
+          },
+          {
+            text: "CANCEL",
+            action: "open-journal",
+            primary: false
+          }
+        ]
+      };
+    }
+
+    return {
+      type: "journal",
+      title: "OBSERVATION JOURNAL",
+      body: "[ local record :: nothing leaves this browser ]",
+      entries,
+      buttons: [
+        {
+          text: "EXPORT JOURNAL",
+          action: "export-journal",
+          primary: true
+        },
+        {
+          text: "CLEAR JOURNAL",
+          action: "clear-journal",
+          primary: false
+        },
+        {
+          text: "CLOSE",
+          action: "close",
+          primary: false
+        }
+      ]
+    };
+  }
+};
+
+// ==========================================
+// EXPORT VERIFICATION
+// ==========================================
+
+if (typeof window !== 'undefined') {
+  window.TANK_JOURNAL = TANK_JOURNAL;
+}
+
+console.log('✔ tank-journal.js loaded - Observation journal ready (local only)');
@@ -0,0 +1,263 @@
+/**
+ * ============================================
+ * SPECIMEN: LOOKAWAY TANK
+ * ORGAN: SPECIMEN MORPHOLOGY
+ * RETRIEVAL: October 2025, Lookaway Archive
+ * ============================================
+ *
+ * STATUS: Operational - v1.0 PROCEDURAL ORGANISMS
+ * FUNCTION: Grows the organism suspended inside each membrane
+ * DEPENDENCIES: None (fed SPECIMENS.getMembraneData() by index.html)
+ *
+ * SURGICAL NOTES:
+ * Every membrane with registry preview data now holds a specimen
+ * body - an inline SVG grown from preview.shape, scaled by
+ * preview.intensity and breathing when preview.pulse is set. Growth
+ * is seeded from the specimen code, so two organic specimens never
+ * share a silhouette and a specimen keeps its shape across visits,
+ * slot moves and wings. Placeholder codes ([RETRIEVAL IN PROGRESS])
+ * are shared, so those slots add their id to the seed.
+ *
+ * The organism is tinted through currentColor from the membrane's
+ * --specimen-r/g/b and stays invisible until the electron beam
+ * finds it: tank-beam.js sets .membrane-organism opacity to 0.3 on
+ * approach and 1 on contact.
+ *
+ * Shapes: organic, scatter, filament, spore, lattice - kept in
+ * step with SPECIMENS.schema.preview.shapes. Unknown shapes (already
+ * reported by the registry's preview rule) grow as organic.
+ * ============================================
+ */
+
+const TANK_ORGANISMS = {
+
+  // ==========================================
+  // CULTURE DISH - Shared drawing space
+  // (Technical: viewBox matches the membrane's 7:3 aspect)
+  // ==========================================
+
+  width: 140,
+  height: 60,
+
+  // ==========================================
+  // GROWTH PATTERNS - One generator per preview.shape
+  // (Technical: (rand, intensity) → [tag, attributes] parts)
+  // ==========================================
+
+  shapes: {
+    // Soft cell wall, nucleus, cilia
+    organic(rand, intensity) {
+      const cx = 70 + (rand() - 0.5) * 16;
+      const cy = 30 + (rand() - 0.5) * 6;
+      const lobes = 7 + Math.floor(rand() * 4);
+      const wall = [];
+
+      for (let i = 0; i < lobes; i++) {
+        const angle = (i / lobes) * Math.PI * 2;
+        const swell = 0.75 + rand() * 0.45;
+        wall.push([cx + Math.cos(angle) * 24 * swell, cy + Math.sin(angle) * 14 * swell]);
+      }
+
+      const parts = [['path', { class: 'organism-body', d: this.smoothLoop(wall) }]];
+      parts.push(['circle', {
+        class: 'organism-node',
+        cx: cx + (rand() - 0.5) * 10,
+        cy: cy + (rand() - 0.5) * 5,
+        r: 2.5 + rand() * 2
+      }]);
+
+      const cilia = 4 + Math.round(intensity * 8);
+      for (let i = 0; i < cilia; i++) {
+        const [x, y] = wall[Math.floor(rand() * wall.length)];
+        const reach = 3 + rand() * 5;
+        const angle = Math.atan2(y - cy, x - cx) + (rand() - 0.5) * 0.6;
+        parts.push(['line', {
+          class: 'organism-line',
+          x1: x, y1: y,
+          x2: x + Math.cos(angle) * reach,
+          y2: y + Math.sin(angle) * reach
+        }]);
+      }
+
+      return parts;
+    },
+
+    // Dispersed fragments - a body that will not hold together
+    scatter(rand, intensity) {
+      const parts = [];
+      const fragments = 14 + Math.round(intensity * 30);
+
+      for (let i = 0; i < fragments; i++) {
+        const size = 1 + rand() * 2.5;
+        parts.push(['rect', {
+          class: 'organism-node',
+          x: 8 + rand() * 124,
+          y: 6 + rand() * 48,
+          width: size,
+          height: size * (0.4 + rand()),
+          opacity: 0.3 + rand() * 0.7
+        }]);
+      }
+
+      return parts;
+    },
+
+    // Long wavering strands crossing the membrane
+    filament(rand, intensity) {
+      const parts = [];
+      const strands = 2 + Math.floor(rand() * 2) + Math.round(intensity * 2);
+
+      for (let i = 0; i < strands; i++) {
+        const baseline = 14 + rand() * 32;
+        const amplitude = 3 + rand() * 7;
+        const frequency = 0.04 + rand() * 0.06;
+        const phase = rand() * Math.PI * 2;
+        const points = [];
+
+        for (let x = 10; x <= 130; x += 6) {
+          points.push(`${x},${(baseline + Math.sin(x * frequency + phase) * amplitude).toFixed(1)}`);
+        }
+        parts.push(['polyline', { class: 'organism-line', points: points.join(' ') }]);
+      }
+
+      return parts;
+    },
+
+    // Budding cluster inside a faint capsule
+    spore(rand, intensity) {
+      const cx = 70 + (rand() - 0.5) * 20;
+      const cy = 30;
+      const parts = [['ellipse', { class: 'organism-line', cx, cy, rx: 30, ry: 20 }]];
+      const buds = 5 + Math.round(intensity * 8);
+
+      for (let i = 0; i < buds; i++) {
+        const angle = rand() * Math.PI * 2;
+        const distance = Math.sqrt(rand()) * 16;
+        parts.push(['circle', {
+          class: 'organism-body',
+          cx: cx + Math.cos(angle) * distance * 1.4,
+          cy: cy + Math.sin(angle) * distance * 0.8,
+          r: 2 + rand() * 4
+        }]);
+      }
+
+      return parts;
+    },
+
+    // Crystalline grid with broken bonds
+    lattice(rand, intensity) {
+      const parts = [];
+      const columns = 7;
+      const rows = 3;
+      const bond = 0.55 + intensity * 0.4;
+      const nodes = [];
+
+      for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+          nodes.push([
+            16 + column * 18 + (rand() - 0.5) * 5,
+            12 + row * 18 + (rand() - 0.5) * 5
+          ]);
+        }
+      }
+
+      nodes.forEach(([x, y], index) => {
+        const right = (index + 1) % columns !== 0 ? nodes[index + 1] : null;
+        const below = nodes[index + columns] || null;
+        [right, below].forEach(neighbour => {
+          if (neighbour && rand() < bond) {
+            parts.push(['line', { class: 'organism-line', x1: x, y1: y, x2: neighbour[0], y2: neighbour[1] }]);
+          }
+        });
+        parts.push(['circle', { class: 'organism-node', cx: x, cy: y, r: 1.2 + rand() * 1.2 }]);
+      });
+
+      return parts;
+    }
+  },
+
+  // ==========================================
+  // GENETIC SEED - Deterministic growth per specimen
+  // (Technical: FNV-1a hash of the code into a mulberry32 stream)
+  // ==========================================
+
+  seed(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  },
+
+  random(seed) {
+    let state = seed;
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  // Closed curve through the midpoints of a polygon
+  smoothLoop(points) {
+    const mid = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    const fmt = ([x, y]) => `${x.toFixed(1)} ${y.toFixed(1)}`;
+    const start = mid(points[points.length - 1], points[0]);
+
+    let d = `M ${fmt(start)}`;
+    points.forEach((point, i) => {
+      d += ` Q ${fmt(point)} ${fmt(mid(point, points[(i + 1) % points.length]))}`;
+    });
+    return `${d} Z`;
+  },
+
+  // ==========================================
+  // SPECIMEN GROWTH - Membrane data → organism element
+  // ==========================================
+
+  build(membraneData) {
+    const preview = membraneData?.preview;
+    if (!preview) return null;
+
+    const grow = this.shapes[preview.shape] || this.shapes.organic;
+    const intensity = Math.min(Math.max(Number(preview.intensity) || 0, 0), 1);
+    const code = String(membraneData.code);
+    const rand = this.random(this.seed(/^\[.*\]$/.test(code) ? `${code}#${membraneData.id}` : code));
+
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+    svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+
+    grow.call(this, rand, intensity).forEach(([tag, attrs]) => {
+      const part = document.createElementNS(ns, tag);
+      Object.entries(attrs).forEach(([name, value]) => {
+        part.setAttribute(name, typeof value === 'number' ? value.toFixed(1) : value);
+      });
+      svg.appendChild(part);
+    });
+
+    const organism = document.createElement('div');
+    organism.className = `membrane-organism organism-${this.shapes[preview.shape] ? preview.shape : 'organic'}`;
+    organism.setAttribute('aria-hidden', 'true');
+    organism.style.setProperty('--organism-intensity', intensity);
+    if (preview.pulse) {
+      organism.classList.add('pulse');
+    }
+    organism.appendChild(svg);
+
+    return organism;
+  }
+};
+
+// ==========================================
+// EXPORT VERIFICATION
+// ==========================================
+
+if (typeof window !== 'undefined') {
+  window.TANK_ORGANISMS = TANK_ORGANISMS;
+}
+
+console.log(`✔ tank-organisms.js loaded - Specimen morphology active (${Object.keys(TANK_ORGANISMS.shapes).join(', ')})`);
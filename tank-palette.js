@@ -0,0 +1,264 @@
+/**
+ * ============================================
+ * SPECIMEN: LOOKAWAY TANK
+ * ORGAN: PIGMENT LAYER
+ * RETRIEVAL: October 2025, Lookaway Archive
+ * ============================================
+ *
+ * STATUS: Operational - v1.0 CONFIG-DRIVEN COLOR
+ * FUNCTION: Turns TANK_CONFIG.colors into the page's CSS variables
+ * DEPENDENCIES: tank-config.js (colors, palettes)
+ *
+ * SURGICAL NOTES:
+ * index.html and tank-audio.js used to repeat the palette as
+ * literal rgb values, so editing the config changed nothing on
+ * screen. Every color surface now reads a --<name>-r/g/b triplet
+ * and this organ writes them onto :root from the resolved palette
+ * (see variables below). The :root block in index.html keeps the
+ * electric amber values as the no-script fallback.
+ *
+ * Named palettes (TANK_CONFIG.palettes) are partial overrides
+ * merged over colors. use(name) checks the result against the
+ * harmony rules first and refuses a palette that breaks one -
+ * the status colors are a decision, not decoration (TANK_LOG,
+ * palette decision v3.4): hot ember burns hotter than active
+ * amber, nothing leaves the warm institutional family, and red is
+ * the [CP:] corruption register, never a tank surface.
+ * ============================================
+ */
+
+const TANK_PALETTE = {
+
+  current: null,          // Name of the applied palette
+  listeners: [],          // Palette change subscribers
+  watching: false,        // Subscribed to TANK_CONFIG changes
+
+  // CSS variable stem → color path in a resolved palette
+  variables: {
+    core: 'preservation.core',
+    glow: 'preservation.glow',
+    text: 'preservation.text',
+    title: 'preservation.text',
+    subtitle: 'subtitle',
+    'popup-bg': 'popup.container',
+    'popup-border': 'popup.border',
+    'popup-text': 'popup.text',
+    'popup-glow': 'popup.glow',
+    'popup-label': 'popup.label',
+    membrane: 'membrane',
+    'beam-color': 'beam',
+    particle: 'particle',
+    background: 'background',
+    ember: 'status.ember',
+    'ember-glow': 'status.emberGlow',
+    'ember-text': 'status.emberText',
+    'ember-pale': 'status.emberPale',
+    control: 'control'
+  },
+
+  // Warm institutional family, in hue degrees
+  warmBand: { min: 15, max: 90 },
+
+  // ==========================================
+  // RESOLUTION - palette name → full color set
+  // ==========================================
+
+  resolve(name = TANK_CONFIG.palette) {
+    const overrides = TANK_CONFIG.palettes[name];
+    if (!overrides) return null;
+
+    // Membrane edge lives in TANK_CONFIG.membrane, not colors
+    const base = { ...TANK_CONFIG.colors, membrane: TANK_CONFIG.membrane.active.borderColor };
+    return this.merge(base, overrides);
+  },
+
+  merge(base, overrides) {
+    const merged = { ...base };
+    Object.entries(overrides).forEach(([key, value]) => {
+      const nested = value && typeof value === 'object' && !('r' in value);
+      merged[key] = nested ? this.merge(base[key] || {}, value) : value;
+    });
+    return merged;
+  },
+
+  lookup(colors, path) {
+    return path.split('.').reduce((node, part) => (node ? node[part] : undefined), colors);
+  },
+
+  // ==========================================
+  // HARMONY RULES - (colors, report) like SPECIMENS.rules
+  // ==========================================
+
+  rules: {
+    // Every chromatic surface stays in the warm family; red is out
+    warmFamily(colors, report) {
+      const surfaces = ['preservation.core', 'preservation.glow', 'preservation.text',
+        'flicker.core', 'flicker.glow', 'flicker.text', 'subtitle', 'beam', 'particle',
+        'membrane', 'status.active', 'status.ember', 'status.emberGlow', 'status.emberText', 'control'];
+
+      surfaces.forEach(path => {
+        const color = this.lookup(colors, path);
+        if (!color) return;
+
+        const { hue, saturation } = this.hsl(color);
+        if (saturation < 0.1) return;   // Grey glass has no family
+
+        if (hue < this.warmBand.min || hue > 330) {
+          report(path, 'error', `hue ${Math.round(hue)}° reads as red - that is the [CP:] corruption register, not a tank surface`);
+        } else if (hue > this.warmBand.max) {
+          report(path, 'error', `hue ${Math.round(hue)}° leaves the warm institutional family (${this.warmBand.min}°-${this.warmBand.max}°)`);
+        }
+      });
+    },
+
+    // In-progress hot ember burns hotter than active amber
+    emberHotter(colors, report) {
+      const active = this.hsl(colors.status.active);
+      const ember = this.hsl(colors.status.ember);
+
+      if (ember.hue >= active.hue || ember.saturation < active.saturation) {
+        report('status.ember', 'error', 'hot ember must sit redder and more saturated than active amber');
+      }
+    },
+
+    // Subtitle stays darker than the text it sits under
+    textHierarchy(colors, report) {
+      if (this.luminance(colors.subtitle) >= this.luminance(colors.preservation.text)) {
+        report('subtitle', 'warning', 'subtitle is as bright as body text - hierarchy lost');
+      }
+    }
+  },
+
+  // Returns [{path, severity, message}]
+  check(colors) {
+    const findings = [];
+    const report = (path, severity, message) => findings.push({ path, severity, message });
+
+    Object.values(this.rules).forEach(rule => rule.call(this, colors, report));
+    return findings;
+  },
+
+  hsl({ r, g, b }) {
+    const [red, green, blue] = [r, g, b].map(channel => channel / 255);
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const delta = max - min;
+    const lightness = (max + min) / 2;
+
+    if (delta === 0) return { hue: 0, saturation: 0, lightness };
+
+    const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+    let hue;
+    if (max === red) hue = ((green - blue) / delta) % 6;
+    else if (max === green) hue = (blue - red) / delta + 2;
+    else hue = (red - green) / delta + 4;
+
+    return { hue: (hue * 60 + 360) % 360, saturation, lightness };
+  },
+
+  luminance({ r, g, b }) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  },
+
+  // ==========================================
+  // APPLICATION - resolved palette → :root variables
+  // ==========================================
+
+  use(name) {
+    // Malformed colors never reach the harmony rules
+    if (TANK_CONFIG.preflight('tank-palette.js', ['colors', 'palettes', 'membrane']).length) return false;
+
+    const colors = this.resolve(name);
+    if (!colors) {
+      console.error(`❌ Unknown palette: ${name}`);
+      return false;
+    }
+
+    const findings = this.check(colors);
+    findings.forEach(finding => {
+      const log = finding.severity === 'error' ? console.error : console.warn;
+      log(`${finding.severity === 'error' ? '❌' : '⚠️'} Palette ${name} :: ${finding.path}: ${finding.message}`);
+    });
+    if (findings.some(finding => finding.severity === 'error')) {
+      console.error(`❌ Palette ${name} refused (breaks palette harmony)`);
+      return false;
+    }
+
+    const root = document.documentElement;
+    Object.entries(this.variables).forEach(([stem, path]) => {
+      const color = this.lookup(colors, path);
+      if (!color) return;
+      root.style.setProperty(`--${stem}-r`, color.r);
+      root.style.setProperty(`--${stem}-g`, color.g);
+      root.style.setProperty(`--${stem}-b`, color.b);
+    });
+
+    this.current = name;
+    this.notify(name, colors);
+    console.log(`🎨 Palette applied: ${name}`);
+    return true;
+  },
+
+  list() {
+    return Object.keys(TANK_CONFIG.palettes);
+  },
+
+  // Live retuning: a new palette name or color re-applies (and is
+  // harmony-checked like any other use())
+  watch() {
+    if (this.watching) return;
+
+    TANK_CONFIG.subscribe((path, value) => {
+      if (path === 'palette') {
+        this.use(value);
+      } else if (this.current && /^(colors|palettes)\.|^membrane\.active/.test(path)) {
+        this.use(this.current);
+      }
+    });
+    this.watching = true;
+  },
+
+  // ==========================================
+  // NEURAL NETWORK - Palette change broadcast
+  // ==========================================
+
+  subscribe(callback) {
+    if (typeof callback !== 'function') {
+      console.error('❌ Subscribe requires a function callback');
+      return;
+    }
+    this.listeners.push(callback);
+  },
+
+  notify(name, colors) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(name, colors);
+      } catch (error) {
+        console.error('❌ Palette listener error:', error);
+      }
+    });
+  }
+};
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// ==========================================
+
+if (typeof TANK_CONFIG === 'undefined') {
+  console.error('❌ tank-palette.js requires tank-config.js to be loaded first!');
+}
+
+// ==========================================
+// EXPORT VERIFICATION
+// ==========================================
+
+if (typeof window !== 'undefined') {
+  window.TANK_PALETTE = TANK_PALETTE;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TANK_PALETTE;
+}
+
+console.log('✔ tank-palette.js loaded - Pigment layer ready');
@@ -40,30 +40,30 @@ class TankParticleDrift {
     // (Technical: Reduce particle count on mobile devices)
     this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
     
-    const particleMultiplier = this.isMobile ? 0.6 : 1.0;
+    this.particleMultiplier = this.isMobile ? 0.6 : 1.0;
     
     // STRATOSPHERIC LAYERS - Three depth planes
-    // (Technical: Particle layer configuration - INCREASED DENSITY)
+    // (Technical: count and speed come from TANK_CONFIG.particles)
     this.layers = {
       far: { 
-        count: Math.floor(40 * particleMultiplier),  // Increased from 25
+        count: 0,
         sizeRange: [1.5, 3],                         // Smallest particles
         blurRange: [3, 5],                           // Heavy fluid distortion
-        speed: 60,                                    // Slowest drift (viscous)
+        speed: 0,
         field: null                                  // DOM container
       },
       mid: { 
-        count: Math.floor(30 * particleMultiplier),  // Increased from 18
+        count: 0,
         sizeRange: [2, 4],                           // Medium particles
         blurRange: [1, 2],                           // Moderate blur
-        speed: 35,                                    // Medium drift
+        speed: 0,
         field: null                                  // DOM container
       },
       near: { 
-        count: Math.floor(12 * particleMultiplier),  // Increased from 7
+        count: 0,
         sizeRange: [3, 5],                           // Largest particles
         blurRange: [0, 0.5],                         // Sharpest focus
-        speed: 15,                                    // Fastest drift (still slow)
+        speed: 0,
         field: null                                  // DOM container
       }
     };
@@ -79,12 +79,27 @@ class TankParticleDrift {
   // ==========================================
   
   init() {
+    if (TANK_CONFIG.preflight('tank-particles.js', ['particles']).length) return false;
+    
     // ATMOSPHERE SYNTHESIS - Begin particle generation
-    // (Technical: Setup DOM and create all particles)
+    // (Technical: Read counts and speeds once preflight has passed,
+    // then setup DOM and create all particles)
     
+    this.readConfig();
     this.createParticleFields();
     this.createAllParticles();
     
+    // LIVE RETUNING - Counts, speeds and opacity follow the config
+    // (Technical: Repopulate on any particles.* change)
+    if (typeof TANK_CONFIG.subscribe === 'function') {
+      TANK_CONFIG.subscribe((path) => {
+        if (path.startsWith('particles.')) {
+          this.readConfig();
+          this.createAllParticles();
+        }
+      });
+    }
+    
     // METABOLIC COUPLING - Link to container lifecycle
     // (Technical: Subscribe to preservation state changes)
     if (window.tankDecay) {
@@ -99,7 +114,24 @@ class TankParticleDrift {
       this.integrateWithBeam();
     }
     
-    console.log('🌫️ Tank particle system initialized (82 particles, 2x visibility)');
+    const total = Object.values(this.layers).reduce((sum, layer) => sum + layer.count, 0);
+    console.log(`🌫️ Tank particle system initialized (${total} particles, 2x visibility)`);
+  }
+  
+  // ==========================================
+  // CONFIG INTAKE - Fluid parameters from TANK_CONFIG
+  // (Technical: Layer counts (mobile-scaled), drift speeds, opacity)
+  // ==========================================
+  
+  readConfig() {
+    const { speeds, baseOpacity } = TANK_CONFIG.particles;
+    
+    Object.entries(this.layers).forEach(([name, layer]) => {
+      layer.count = Math.floor(TANK_CONFIG.particles[name] * this.particleMultiplier);
+      layer.speed = speeds[name];
+    });
+    
+    this.root.style.setProperty('--particle-base-opacity', baseOpacity);
   }
   
   // ==========================================
@@ -0,0 +1,329 @@
+/**
+ * ============================================
+ * SPECIMEN: LOOKAWAY TANK
+ * ORGAN: RENDERING MEMBRANE
+ * RETRIEVAL: October 2025, Lookaway Archive
+ * ============================================
+ *
+ * STATUS: Operational - v1.2 ESCAPED BY DEFAULT
+ * FUNCTION: Safe templating - registry strings reach the DOM as text
+ * DEPENDENCIES: None (index.html and the popup templates feed from this)
+ *
+ * SURGICAL NOTES:
+ * Registry content now arrives from contributors and the external
+ * manifest, so nothing it carries is trusted as markup. Every value
+ * interpolated through TANK_RENDER.html`...` is escaped unless it is
+ * already a rendered fragment. Registry prose that needs emphasis
+ * (description, warning) goes through markup(), which re-enables a
+ * small attribute-free tag whitelist and closes anything left open.
+ *
+ * Popup bodies for every popup type are built here (popupTemplates),
+ * and mount() is the only door into innerHTML - plain strings handed
+ * to it land as textContent.
+ *
+ * v1.1 UPDATE: Scheduled releases. error and reserved popups carry a
+ * release countdown when the slot has releaseAt; index.html ticks
+ * .release-countdown-value with formatCountdown() every second.
+ *
+ * v1.2 UPDATE: journal popup (TANK_JOURNAL.getPopupContent()) - one
+ * row per logged specimen code.
+ *
+ * tests/render.test.js renders every popup type from hostile
+ * registry fixtures and proves the output carries no markup the
+ * templates did not write. Runs under Node (not shipped):
+ *   node --test tests/
+ * ============================================
+ */
+
+// Rendered markup - the only value html`` passes through unescaped
+class SafeMarkup {
+  constructor(html) {
+    this.html = html;
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+const TANK_RENDER = {
+
+  // ==========================================
+  // FORMATTING WHITELIST
+  // (Technical: tags registry prose may carry - never with attributes)
+  // ==========================================
+
+  markupTags: ['strong', 'em', 'b', 'i', 'br'],
+
+  // ==========================================
+  // ESCAPING
+  // ==========================================
+
+  escape(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, ch => entities[ch]);
+  },
+
+  // Registry prose with the whitelisted formatting re-enabled.
+  // Tags with attributes, unknown tags and stray closers stay text.
+  markup(value) {
+    const open = [];
+    const body = this.escape(value).replace(/&lt;(\/?)([a-z]+)\s*\/?&gt;/gi, (match, closing, name) => {
+      const tag = name.toLowerCase();
+      if (!this.markupTags.includes(tag)) return match;
+      if (tag === 'br') return closing ? match : '<br>';
+
+      if (!closing) {
+        open.push(tag);
+        return `<${tag}>`;
+      }
+      if (open[open.length - 1] !== tag) return match;
+      open.pop();
+      return `</${tag}>`;
+    });
+
+    // Unclosed emphasis must not bleed into the rest of the popup
+    const closers = open.reverse().map(tag => `</${tag}>`).join('');
+    return new SafeMarkup(body + closers);
+  },
+
+  // ==========================================
+  // TEMPLATE TAG - escaped by default
+  // (Technical: fragments and arrays of fragments pass through)
+  // ==========================================
+
+  html(strings, ...values) {
+    return new SafeMarkup(strings.reduce((out, chunk, i) => out + this.interpolate(values[i - 1]) + chunk));
+  },
+
+  interpolate(value) {
+    if (value instanceof SafeMarkup) return value.html;
+    if (Array.isArray(value)) return value.map(item => this.interpolate(item)).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return this.escape(value);
+  },
+
+  isSafe(value) {
+    return value instanceof SafeMarkup;
+  },
+
+  // The one way rendered markup reaches the DOM
+  mount(element, fragment) {
+    if (fragment instanceof SafeMarkup) {
+      element.innerHTML = fragment.html;
+    } else {
+      element.textContent = fragment ?? '';
+    }
+  },
+
+  // ==========================================
+  // POPUP TEMPLATES - keyed by getPopupContent() type
+  // (Technical: called with this bound to TANK_RENDER)
+  // ==========================================
+
+  popupTemplates: {
+    error(data) {
+      return this.html`
+        <div class="error-body">${data.body}</div>
+        ${data.retrieval ? this.retrievalReadout(data.retrieval) : ''}
+        ${data.releaseAt ? this.releaseCountdown(data.releaseAt) : ''}
+      `;
+    },
+
+    reserved(data) {
+      return this.html`
+        <div class="popup-field">
+          <div class="popup-label">Designation</div>
+          <div class="popup-value">${data.code}</div>
+        </div>
+        <div class="popup-field">
+          <div class="popup-label">Episode</div>
+          <div class="popup-value">${data.designation}</div>
+        </div>
+        <div class="reserved-body">${data.body}</div>
+        ${data.releaseAt ? this.releaseCountdown(data.releaseAt) : ''}
+      `;
+    },
+
+    archive(data) {
+      return this.html`
+        <div class="popup-field">
+          <div class="popup-label">Designation</div>
+          <div class="popup-value">${data.code}</div>
+        </div>
+        <div class="popup-field">
+          <div class="popup-label">Status</div>
+          <div class="popup-value">${data.status}</div>
+        </div>
+        <div class="popup-field">
+          <div class="popup-label">Deployed</div>
+          <div class="popup-value">${data.deployed}</div>
+        </div>
+        <div class="popup-description">
+          ${this.markup(data.description)}
+        </div>
+      `;
+    },
+
+    specimen(data) {
+      return this.html`
+        <div class="popup-field">
+          <div class="popup-label">Designation</div>
+          <div class="popup-value">${data.code}</div>
+        </div>
+        <div class="popup-field">
+          <div class="popup-label">Status</div>
+          <div class="popup-value">${data.status}</div>
+        </div>
+        <div class="popup-field">
+          <div class="popup-label">Classification</div>
+          <div class="popup-value">${data.classification}</div>
+        </div>
+        <div class="popup-field">
+          <div class="popup-label">Deployed</div>
+          <div class="popup-value">${data.deployed}</div>
+        </div>
+        <div class="popup-description">
+          ${this.markup(data.description)}
+        </div>
+        <div class="popup-warning">
+          <strong>⚠ WARNING:</strong> ${this.markup(data.warning)}
+        </div>
+        ${this.relatedSpecimens(data)}
+        ${data.access === 'leak' ? this.html`
+        <div class="password-note">
+          ⚠ PASSWORD REQUIRED FOR SPECIMEN OBSERVATION ⚠
+        </div>
+        ` : ''}
+        ${data.access === 'gate' ? this.passphraseGate() : ''}
+      `;
+    },
+
+    journal(data) {
+      const rows = (data.entries || []).map(entry => this.html`
+        <div class="journal-entry">
+          <span class="journal-code">${entry.code}</span>
+          <span class="journal-record">OPENED ${entry.opened} · OBSERVED ${entry.observed} · ${entry.version || '—'} · ${this.formatDate(entry.last)}</span>
+        </div>
+      `);
+
+      return this.html`
+        <div class="journal-body">${data.body}</div>
+        ${rows.length ? this.html`<div class="journal-list">${rows}</div>` : ''}
+      `;
+    }
+  },
+
+  popupBody(popupData) {
+    const template = this.popupTemplates[popupData.type];
+    return template ? template.call(this, popupData) : this.html`${popupData.body}`;
+  },
+
+  // ==========================================
+  // POPUP FRAGMENTS
+  // ==========================================
+
+  relatedSpecimens(data) {
+    if (!data.related || data.related.length === 0) return '';
+
+    // Registry designations switch the popup in place (open-related
+    // action); outside references (TRF-VIS-0042) render as inert tags
+    const entries = data.related.map(relation => relation.id
+      ? this.html`<button type="button" class="related-link" data-action="open-related" data-target="${relation.id}">${relation.code}</button>`
+      : this.html`<span class="related-ref">${relation.code}</span>`
+    );
+
+    return this.html`
+      <div class="popup-field popup-related">
+        <div class="popup-label">Related Specimens</div>
+        ${data.dossier ? this.html`<div class="related-dossier">${data.dossier}</div>` : ''}
+        <div class="related-list">${entries}</div>
+      </div>
+    `;
+  },
+
+  // Gate mode - OBSERVE SPECIMEN runs the 'unlock' action against this input
+  passphraseGate() {
+    return this.html`
+      <div class="passphrase-gate">
+        <label class="popup-label" for="passphraseInput">Passphrase</label>
+        <input class="passphrase-input" id="passphraseInput" type="password" autocomplete="off" spellcheck="false">
+        <div class="passphrase-feedback" id="passphraseFeedback" role="status" aria-live="assertive"></div>
+      </div>
+    `;
+  },
+
+  retrievalReadout(retrieval) {
+    const marks = { done: '■', active: '▒', pending: ' ' };
+    const stages = retrieval.stages.map(stage => this.html`
+      <div class="retrieval-stage stage-${stage.state}">[${marks[stage.state]}] ${stage.label}</div>
+    `);
+
+    let meter = '';
+    if (retrieval.percent !== null) {
+      const filled = Math.round(retrieval.percent / 100 * 16);
+      meter = this.html`<div class="retrieval-meter">[${'█'.repeat(filled)}${'░'.repeat(16 - filled)}] ${Math.round(retrieval.percent)}%</div>`;
+    }
+
+    const hint = retrieval.codeHint
+      ? this.html`<div class="retrieval-signal">PARTIAL CODE :: ${retrieval.codeHint}</div>`
+      : '';
+
+    let signal = '';
+    if (retrieval.lastSignal) {
+      const at = new Date(retrieval.lastSignal).toISOString().replace('T', ' ').slice(0, 16);
+      signal = this.html`<div class="retrieval-signal">LAST SIGNAL :: ${at} UTC</div>`;
+    }
+
+    return this.html`<div class="retrieval-readout">${stages}${meter}${hint}${signal}</div>`;
+  },
+
+  // Scheduled release - the value is re-ticked in place by index.html
+  releaseCountdown(releaseAt, now = Date.now()) {
+    const time = Date.parse(releaseAt);
+    const at = Number.isNaN(time) ? 'UNSCHEDULED' : `${new Date(time).toISOString().replace('T', ' ').slice(0, 16)} UTC`;
+
+    return this.html`
+      <div class="release-countdown">
+        <div class="release-countdown-label">CONTAINMENT SCHEDULED :: ${at}</div>
+        <div class="release-countdown-value">${this.formatCountdown(time - now)}</div>
+      </div>
+    `;
+  },
+
+  // YYYY-MM-DD (UTC), or a dash for missing / malformed stamps
+  formatDate(stamp) {
+    const time = Date.parse(stamp);
+    return Number.isNaN(time) ? '—' : new Date(time).toISOString().slice(0, 10);
+  },
+
+  // T-MINUS [Dd] HH:MM:SS (clamped at zero)
+  formatCountdown(ms) {
+    if (Number.isNaN(ms)) return 'T-MINUS --:--:--';
+
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const days = Math.floor(total / 86400);
+    const clock = [
+      Math.floor(total / 3600) % 24,
+      Math.floor(total / 60) % 60,
+      total % 60
+    ].map(part => String(part).padStart(2, '0')).join(':');
+
+    return `T-MINUS ${days ? `${days}d ` : ''}${clock}`;
+  }
+};
+
+// ==========================================
+// EXPORT VERIFICATION
+// ==========================================
+
+if (typeof window !== 'undefined') {
+  window.TANK_RENDER = TANK_RENDER;
+}
+
+// tests/render.test.js loads the module under Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TANK_RENDER;
+}
+
+console.log('✔ tank-render.js loaded - Safe templating active (escaped by default)');
@@ -0,0 +1,129 @@
+/**
+ * ============================================
+ * SPECIMEN: LOOKAWAY TANK
+ * ORGAN: SEARCH INDEX
+ * RETRIEVAL: October 2025, Lookaway Archive
+ * ============================================
+ *
+ * STATUS: Operational - v1.0 FULL TEXT
+ * FUNCTION: Finds specimens by what their records say
+ * DEPENDENCIES: None (fed registry entries by index.html)
+ *
+ * SURGICAL NOTES:
+ * Finding the specimen that mentions "Elizabeth I" used to mean
+ * opening popups one by one. The index holds one flattened,
+ * lower-cased document per clickable slot, built from the fields a
+ * visitor can read:
+ *   code, classification, description, warning, metadata
+ * Description / warning markup (<strong>, <br> ...) is stripped
+ * first. Staged release fields are never indexed - they stay
+ * secret until the slot is promoted, same as popup data.
+ *
+ * query() needs every term somewhere in the document; hits rank
+ * by field weight (code above classification above prose) with a
+ * bonus for the whole phrase. index.html rebuilds the index on
+ * every registry change and paints the results onto the grid.
+ * ============================================
+ */
+
+const TANK_SEARCH = {
+
+  documents: [],          // { id, code, fields: { name → text } } per slot
+
+  // Field weights - a term found in the code outranks one in the prose
+  weights: {
+    code: 8,
+    classification: 4,
+    metadata: 2,
+    description: 1,
+    warning: 1
+  },
+
+  phraseBonus: 5,         // Whole query found as typed (multi-term only)
+
+  // ==========================================
+  // INDEXING - one document per clickable slot
+  // (Technical: statuses is SPECIMENS.lifecycle.statuses)
+  // ==========================================
+
+  build(registry, statuses = {}) {
+    this.documents = registry
+      .filter(entry => entry && statuses[entry.status]?.clickable)
+      .map(entry => ({
+        id: entry.id,
+        code: entry.code,
+        fields: {
+          code: this.normalize(entry.code),
+          classification: this.normalize(entry.classification),
+          metadata: this.normalize(Object.values(entry.metadata || {}).join(' ')),
+          description: this.normalize(entry.description),
+          warning: this.normalize(entry.warning)
+        }
+      }));
+
+    console.log(`🔎 Search index rebuilt (${this.documents.length} specimens)`);
+    return this;
+  },
+
+  // Plain lower-case text: tags dropped, entities and whitespace folded
+  normalize(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  },
+
+  // ==========================================
+  // QUERY - every term must match; ranked by field weight
+  // Returns [{ id, code, score, fields }] best first
+  // ==========================================
+
+  query(text) {
+    const phrase = this.normalize(text);
+    if (!phrase) return [];
+    const terms = phrase.split(' ');
+
+    return this.documents
+      .map(doc => {
+        const fields = new Set();
+        let score = 0;
+
+        for (const term of terms) {
+          const found = Object.keys(this.weights).filter(name => doc.fields[name].includes(term));
+          if (!found.length) return null;
+
+          found.forEach(name => fields.add(name));
+          score += Math.max(...found.map(name => this.weights[name]));
+        }
+
+        if (terms.length > 1 && Object.values(doc.fields).some(field => field.includes(phrase))) {
+          score += this.phraseBonus;
+        }
+        if (doc.fields.code === phrase) {
+          score += this.weights.code;
+        }
+
+        return { id: doc.id, code: doc.code, score, fields: [...fields] };
+      })
+      .filter(Boolean)
+      .sort((a, b) => (b.score - a.score) || (a.id - b.id));
+  }
+};
+
+// ==========================================
+// EXPORT VERIFICATION
+// ==========================================
+
+if (typeof window !== 'undefined') {
+  window.TANK_SEARCH = TANK_SEARCH;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TANK_SEARCH;
+}
+
+console.log('✔ tank-search.js loaded - Search index ready');
@@ -5,9 +5,10 @@
  * RETRIEVAL: October 2025, Lookaway Archive
  * ============================================
  *
- * STATUS: Operational - ELECTRIC AMBER v3.4
+ * STATUS: Operational - ELECTRIC AMBER v5.3
  * FUNCTION: Specimen catalog - tracks all contained organisms
- * DEPENDENCIES: None (pure data structure)
+ * DEPENDENCIES: tank-config.js (capacity rule; skipped when absent),
+ *               specimens.json manifest optional
  *
  * SURGICAL NOTES:
  * This archive contains the complete registry of all specimens
@@ -16,6 +17,110 @@
  * metadata, access password, visual parameters, and behavior
  * configurations.
  *
+ * v5.3 UPDATE: Deployment timeline. deployedAt (YYYY-MM or
+ *              YYYY-MM-DD) sits beside the display string deployed;
+ *              getTimeline(slots) orders dated statuses by it and puts
+ *              open statuses (in_progress, reserved) at the open end
+ *              (lifecycle.statuses[...].timeline). New 'deployment'
+ *              rule; dated slots without deployedAt are warnings.
+ * v5.2 UPDATE: Tank wings. Slots group into wings of
+ *              TANK_CONFIG.grid.wingSize by position (slot n is in
+ *              wing ceil(n / wingSize)); getWings(slots) and
+ *              getWingOf(id, slots) page any slot list the same way.
+ *              Capacity rule reads grid.wings × grid.wingSize.
+ * v5.1 UPDATE: Season index. getSeasons(), getBySeason(season),
+ *              getByEpisode(season, episode), getLatestEpisode() and
+ *              getSeasonView(season) - the grid for one season plus
+ *              every slot whose lifecycle status is allSeasons
+ *              (in_progress, reserved). Seasons and episodes compare
+ *              as two-digit strings, so 3 and '3' mean '03'.
+ * page v5.0:   metadata.version now also feeds the visitor's
+ *              observation journal (tank-journal.js) - bumping it
+ *              flags the specimen UPDATED for returning visitors.
+ * v4.9 UPDATE: Scheduled releases. in_progress / reserved slots may
+ *              carry releaseAt (ISO timestamp) and a staged release
+ *              block - the fields the slot takes on as contained
+ *              (code, url, description...). Staged fields never
+ *              reach popup data; releaseDue() runs the 'release'
+ *              transition once the time passes and listeners get
+ *              the transition record (record.name === 'release').
+ *              New 'release' rule trial-validates the staged slot.
+ * v4.7 UPDATE: Access modes. access: "leak" (explicit form of the
+ *              original RETRIEVE PASSWORD clipboard leak) or "gate":
+ *              the entry keeps only passwordHash {salt, sha256} and
+ *              the containment popup asks for the passphrase
+ *              (OBSERVE SPECIMEN → 'unlock' action). hashPassphrase(),
+ *              checkPassphrase(id, attempt); new 'access' rule.
+ *              847T declares access: "leak".
+ * v4.6 UPDATE: The whole behaviors block is live. schema.behaviors
+ *              declares the engine's vocabulary - idle animations
+ *              (float, breathe, pulse, drift, sway, shiver, orbit,
+ *              scatter), hoverEffect + hoverIntensity, beamReaction
+ *              (illuminate, distort, recoil, echo), animationSpeed,
+ *              flicker. New 'behaviors' rule: unknown values and
+ *              out-of-range numbers are errors, unknown keys warnings.
+ * v4.5 UPDATE: preview data now grows a visible organism in each
+ *              membrane (tank-organisms.js). schema.preview.shapes
+ *              lists the known growth patterns - organic, scatter,
+ *              filament, spore, lattice; the new 'preview' rule
+ *              checks shape, intensity (0-1) and pulse.
+ * page v4.4:   Popup buttons are authoritative. The renderer builds the
+ *              button row from getPopupContent().buttons ({text,
+ *              action, primary}) and runs each action from its own
+ *              registry (close, navigate, copy-password, copy-link,
+ *              open-related). Containment popups gain RETRIEVE
+ *              PASSWORD (when gated) and COPY LINK.
+ * page v4.2:   lifecycle.statuses carry a spoken label; getMembraneData()
+ *              exposes it as statusLabel for membrane aria-labels.
+ * v4.1 UPDATE: getMissingPopupContent(ref) - ember ERROR :: SPECIMEN
+ *              NOT FOUND popup data for deep links that name no
+ *              registry slot.
+ * v4.0 UPDATE: Specimen relations. Optional relations block -
+ *              {companion: [codes], dossier: name, references: [ids]} -
+ *              replaces prose-only links (847T ↔ 847A under the
+ *              Linguistic-Substrate Collapse Dossier, EROI → TRF-VIS-0042).
+ *              getRelated(id) resolves companions in both directions,
+ *              dossier siblings and references; containment popup data
+ *              carries the resolved list. New 'relations' rule.
+ * v3.9 UPDATE: Optional retrieval progress on in_progress slots -
+ *              retrieval: {stages, stage, percent, codeHint, lastSignal}.
+ *              getRetrievalProgress(id) shapes it for the ERROR ::
+ *              SCATTER SIGNAL popup; getMembraneData() exposes progress
+ *              (0-1) so scatter intensity can follow it. Slots without
+ *              a retrieval block stay opaque. New 'retrieval' rule.
+ * v3.8 UPDATE: 'reserved' and 'decommissioned' become full slot
+ *              statuses. Reserved: code and pending designation known,
+ *              retrieval not begun (e.g. PITCH) - dim amber dashed
+ *              membrane, RESERVED :: DESIGNATION PENDING popup.
+ *              Decommissioned: formerly contained, url kept as an
+ *              archive link - cold sepia membrane, archive popup with
+ *              OPEN ARCHIVE. New helpers getReserved(),
+ *              getDecommissioned() and their counters.
+ * v3.7 UPDATE: Slot lifecycle. Status now changes only through the
+ *              transition API - reserve(), beginRetrieval(), promote(),
+ *              decommission() - which enforces legal moves from
+ *              lifecycle.transitions and validates the slot as it would
+ *              be after the move. Each move appends {from, to, at, note,
+ *              registryVersion} to slot.history (getHistory(id)) and is
+ *              broadcast to subscribe() listeners. Statuses 'reserved'
+ *              and 'decommissioned' exist in the lifecycle model.
+ * v3.6 UPDATE: validate() is rule-driven and returns structured
+ *              findings ({slot, field, severity, message}) instead of
+ *              logging against hard-coded slot counts. Capacity comes
+ *              from TANK_CONFIG.grid.totalSlots; per-status field
+ *              requirements live in schema.statuses; unique codes,
+ *              unique episode per season and url style are rules.
+ *              Manifest intake runs the same rules, rejecting on any
+ *              error-severity finding.
+ * v3.5 UPDATE: Registry now loads from the external specimens.json
+ *              manifest via SPECIMENS.load(url). Manifest is checked
+ *              against SPECIMENS.schema (required fields per status,
+ *              color shape, url format, metadata shape) before it
+ *              replaces the bundled registry below. On any failure the
+ *              bundled registry stays active and load() reports why,
+ *              so the renderer can surface a diagnostic in the CRT.
+ *              The bundled registry is the fallback copy — keep it in
+ *              step with specimens.json at deployment.
  * v3.4 UPDATE: Slot 5 status changed to in_progress (LEAK-WORM
  *              currently being retrieved). New status type added:
  *              'in_progress' alongside 'contained' and 'vacant'.
@@ -29,7 +134,7 @@
  *              PITCH (previously slotted for E04) moves to pending.
  * v3.2 UPDATE: Added LEAK-WORM-EROI (Episode 03)
  *
- * Current capacity: 12 membrane compartments
+ * Current capacity: 1 wing × 12 membrane compartments
  * Active specimens: 4 (LEAK-WORM-847T, LEAK-WORM-575E, LEAK-WORM-EROI,
  *                      LEAK-WORM-847A)
  * In-progress slots: 1 (Slot 5 — retrieval in progress)
@@ -39,8 +144,13 @@
 
 const SPECIMENS = {
 
+  version: "v5.3",        // Registry version (replaced by manifest version on load)
+  source: "bundled",      // Where the active registry came from: bundled | manifest
+  listeners: [],          // Registry change subscribers
+
   // ==========================================
   // SPECIMEN REGISTRY - Complete archive catalog
+  // (Bundled fallback — specimens.json is the primary source)
   // ==========================================
 
   registry: [
@@ -52,12 +162,19 @@ const SPECIMENS = {
       code: "LEAK-WORM-847T",
       status: "contained",
       deployed: "October 2025",
+      deployedAt: "2025-10",
       classification: "Interactive Narrative",
 
       description: "Explores quantum measurement paradox through Tlönian archaeological documentation. The organism exhibits temporal decay behaviors and responds to active observation. Contains Fragment 847-T from the Third Bureau of Reality Cartography.",
 
       warning: "Specimen requires active observation to maintain stability. Neglect accelerates decay. Natural lifecycle: 32 seconds from birth to death without interaction. Ocean metamorphosis achievable through specific protocols.",
 
+      // ACCESS - "leak": RETRIEVE PASSWORD copies the plaintext password.
+      // Gate mode keeps only a salted hash and asks for the passphrase:
+      //   access: "gate",
+      //   passwordHash: { salt: "<random hex>", sha256: "<hex digest>" },
+      // (digest: SPECIMENS.hashPassphrase(passphrase, salt) - no password field)
+      access: "leak",
       password: "{🌊:🌊∈🌊}",
 
       color: { r: 200, g: 165, b: 70 },
@@ -83,6 +200,12 @@ const SPECIMENS = {
         season: "02",
         episode: "01",
         version: "v1001"
+      },
+
+      relations: {
+        companion: ["LEAK-WORM-847A"],
+        dossier: "Linguistic-Substrate Collapse Dossier",
+        references: []
       }
     },
 
@@ -94,6 +217,7 @@ const SPECIMENS = {
       code: "LEAK-WORM-575E",
       status: "contained",
       deployed: "October 2025",
+      deployedAt: "2025-10",
       classification: "Interactive Narrative",
 
       description: "Investigates Earth power dynamics through temporal surveillance documentation. Contains Fragment 575E recording temporal consultation between [REDACTED] and Elizabeth I of England (Richmond Palace, May 1575). Explores circular feedback systems in political authority.",
@@ -136,6 +260,7 @@ const SPECIMENS = {
       code: "LEAK-WORM-EROI",
       status: "contained",
       deployed: "February 2026",
+      deployedAt: "2026-02",
       classification: "Visual Philosophy Document",
 
       description: "The specimen presents EROI — Energy Returned on Investment — as both ratio and trapped collector. References TRF-VIS-0042 from Art Theory Division.",
@@ -167,6 +292,12 @@ const SPECIMENS = {
         season: "02",
         episode: "03",
         version: "v1001"
+      },
+
+      relations: {
+        companion: [],
+        dossier: null,
+        references: ["TRF-VIS-0042"]
       }
     },
 
@@ -178,6 +309,7 @@ const SPECIMENS = {
       code: "LEAK-WORM-847A",
       status: "contained",
       deployed: "April 2026",
+      deployedAt: "2026-04",
       classification: "Recovered Institutional Doctrine",
 
       description: "Articles of Command Doctrine — composite source text recovered from Earth's institutional archives (naval manuals, corporate governance literature, executive education curricula). Companion to LEAK-WORM-847T under the Linguistic-Substrate Collapse Dossier; civilizational-scale fragment paired with this local-scale source.",
@@ -209,6 +341,12 @@ const SPECIMENS = {
         season: "02",
         episode: "04",
         version: "v1001"
+      },
+
+      relations: {
+        companion: ["LEAK-WORM-847T"],
+        dossier: "Linguistic-Substrate Collapse Dossier",
+        references: []
       }
     },
 
@@ -257,6 +395,29 @@ const SPECIMENS = {
       },
 
       metadata: null
+
+      // SCHEDULED RELEASE - Optional. The tank promotes the slot to
+      // contained on its own once releaseAt passes; until then the
+      // staged fields stay out of popup data.
+      // releaseAt: "2026-11-01T18:00:00Z",
+      // release: {
+      //   code: "LEAK-WORM-XXXX", deployed: "November 2026", deployedAt: "2026-11",
+      //   classification: "...", description: "...", warning: "...",
+      //   url: "https://lookaway-archive.github.io/leak-worm-xxxx/",
+      //   color: { r: 200, g: 165, b: 70 },
+      //   behaviors: { idleAnimation: "float", ... },   // else the ember scatter carries over
+      //   preview: { shape: "organic", intensity: 0.3, pulse: true },
+      //   metadata: { author: "...", season: "02", episode: "05", version: "v1001" }
+      // }
+
+      // RETRIEVAL PROGRESS - Optional. Omitted = opaque slot (today).
+      // retrieval: {
+      //   stages: ["SIGNAL LOCK", "FRAGMENT RECOVERY", "CONTAINMENT PREP"],
+      //   stage: 1,                        // index into stages
+      //   percent: 45,                     // 0-100, drives scatter intensity
+      //   codeHint: "LEAK-WORM-8??",       // partial designation
+      //   lastSignal: "2026-10-12T03:14:00Z"
+      // }
     },
 
     // ==========================================
@@ -278,6 +439,206 @@ const SPECIMENS = {
     }))
   ],
 
+  // ==========================================
+  // MANIFEST SCHEMA - Declared shape of a registry entry
+  // (Dotted paths reach into nested objects, e.g. metadata.episode)
+  // ==========================================
+
+  schema: {
+    statuses: {
+      contained: {
+        required: ['code', 'deployed', 'classification', 'description', 'warning', 'url', 'metadata', 'metadata.episode'],
+        forbidden: []
+      },
+      in_progress: {
+        required: ['code'],
+        forbidden: ['url']
+      },
+      reserved: {
+        required: ['code', 'designation'],
+        forbidden: ['url']
+      },
+      decommissioned: {
+        required: ['code', 'url', 'metadata'],
+        forbidden: []
+      },
+      vacant: {
+        required: ['code'],
+        forbidden: ['url']
+      }
+    },
+    types: {
+      id: 'number',
+      code: 'string',
+      status: 'string',
+      deployed: 'string',
+      deployedAt: 'string',
+      designation: 'string',
+      classification: 'string',
+      description: 'string',
+      warning: 'string',
+      password: 'string',
+      access: 'string',
+      passwordHash: 'object',
+      url: 'string',
+      color: 'object',
+      behaviors: 'object',
+      preview: 'object',
+      metadata: 'object',
+      retrieval: 'object',
+      releaseAt: 'string',
+      release: 'object',
+      relations: 'object',
+      history: 'object'
+    },
+    url: /^(https:\/\/[^\s]+|\/[^\s]*)$/,
+    deployedAt: /^\d{4}-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?$/,
+    behaviors: {
+      // Values the behavior engine in index.html understands
+      // (lists: allowed values; {min, max}: numeric range)
+      idleAnimation: ['none', 'float', 'breathe', 'pulse', 'drift', 'sway', 'shiver', 'orbit', 'scatter'],
+      animationSpeed: { min: 0.1, max: 60 },    // seconds per idle cycle
+      hoverEffect: ['none', 'glow'],
+      hoverIntensity: { min: 0, max: 3 },       // 1 = stock hover glow
+      beamReaction: ['none', 'illuminate', 'distort', 'recoil', 'echo'],
+      flicker: ['scatter']
+    },
+    access: {
+      // How a gated specimen is opened (leak: clipboard, gate: passphrase)
+      modes: ['leak', 'gate'],
+      hash: /^[0-9a-f]{64}$/
+    },
+    preview: {
+      // Growth patterns tank-organisms.js knows how to render
+      shapes: ['organic', 'scatter', 'filament', 'spore', 'lattice']
+    },
+    metadata: {
+      author: /\S/,
+      season: /^\d{2}$/,
+      episode: /^\d{2}$/,
+      version: /^v\d+$/
+    }
+  },
+
+  // ==========================================
+  // MANIFEST INTAKE - Load registry from specimens.json
+  // ==========================================
+
+  async load(url = 'specimens.json') {
+    let manifest;
+
+    try {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      manifest = await response.json();
+    } catch (error) {
+      console.error(`❌ Specimen manifest unreachable (${url}):`, error);
+      return {
+        source: this.source,
+        findings: [this.finding(null, 'manifest', 'error', `Manifest unreachable: ${error.message}`)]
+      };
+    }
+
+    const findings = this.checkManifest(manifest);
+    if (this.errorsIn(findings).length) {
+      return { source: this.source, findings };
+    }
+
+    this.registry = manifest.registry;
+    this.version = manifest.version;
+    this.source = 'manifest';
+    this.notify('load');
+
+    console.log(`✔ Specimen manifest loaded (${url}, ${this.version})`);
+    return { source: this.source, findings };
+  },
+
+  checkManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object') {
+      return [this.finding(null, 'manifest', 'error', 'Manifest is not a JSON object')];
+    }
+
+    const findings = [];
+
+    if (typeof manifest.version !== 'string') {
+      findings.push(this.finding(null, 'version', 'error', 'Manifest missing version string'));
+    }
+    if (!Array.isArray(manifest.registry) || manifest.registry.length === 0) {
+      findings.push(this.finding(null, 'registry', 'error', 'Manifest registry must be a non-empty array'));
+      return findings;
+    }
+
+    return findings.concat(this.validate(manifest.registry));
+  },
+
+  checkEntry(entry, slot, report) {
+    const { statuses, types, url, metadata } = this.schema;
+
+    if (!entry || typeof entry !== 'object') {
+      report(slot, null, 'error', 'entry is not an object');
+      return;
+    }
+
+    const rules = statuses[entry.status];
+    if (!rules) {
+      report(slot, 'status', 'error', `unknown status "${entry.status}"`);
+      return;
+    }
+
+    rules.required.forEach(field => {
+      const value = this.readField(entry, field);
+      if (value === null || value === undefined || value === '') {
+        report(slot, field, 'error', `${entry.status} entry requires ${field}`);
+      }
+    });
+
+    rules.forbidden.forEach(field => {
+      const value = this.readField(entry, field);
+      if (value !== null && value !== undefined) {
+        report(slot, field, 'error', `${entry.status} entry must not have ${field}`);
+      }
+    });
+
+    Object.entries(types).forEach(([field, type]) => {
+      const value = entry[field];
+      if (value !== null && value !== undefined && typeof value !== type) {
+        report(slot, field, 'error', `${field} must be ${type}`);
+      }
+    });
+
+    if (!entry.color || typeof entry.color !== 'object') {
+      report(slot, 'color', 'error', 'color is required');
+    } else {
+      ['r', 'g', 'b'].forEach(channel => {
+        const value = entry.color[channel];
+        if (!Number.isInteger(value) || value < 0 || value > 255) {
+          report(slot, `color.${channel}`, 'error', `color.${channel} must be an integer 0-255`);
+        }
+      });
+    }
+
+    if (typeof entry.url === 'string' && !url.test(entry.url)) {
+      report(slot, 'url', 'error', 'url must be https:// or root-relative');
+    }
+
+    if (entry.metadata && typeof entry.metadata === 'object') {
+      Object.entries(metadata).forEach(([field, pattern]) => {
+        const value = entry.metadata[field];
+        if (typeof value !== 'string' || !pattern.test(value)) {
+          report(slot, `metadata.${field}`, 'error', `metadata.${field} is malformed`);
+        }
+      });
+    }
+  },
+
+  readField(entry, path) {
+    return path.split('.').reduce((value, part) => {
+      return value === null || value === undefined ? undefined : value[part];
+    }, entry);
+  },
+
   // ==========================================
   // RETRIEVAL METHODS
   // ==========================================
@@ -298,10 +659,108 @@ const SPECIMENS = {
     return this.registry.filter(specimen => specimen.status === 'in_progress');
   },
 
+  getReserved() {
+    return this.registry.filter(specimen => specimen.status === 'reserved');
+  },
+
+  getDecommissioned() {
+    return this.registry.filter(specimen => specimen.status === 'decommissioned');
+  },
+
   getByCode(code) {
     return this.registry.find(specimen => specimen.code === code);
   },
 
+  // ==========================================
+  // TANK WINGS - Slots grouped into wings of grid.wingSize
+  // (Technical: positional chunks of whatever slot list is shown)
+  // ==========================================
+
+  getWingSize() {
+    return typeof TANK_CONFIG !== 'undefined' ? TANK_CONFIG.getWingSize() : Math.max(this.registry.length, 1);
+  },
+
+  getWings(slots = this.registry) {
+    const size = this.getWingSize();
+    const wings = [];
+    for (let start = 0; start < slots.length; start += size) {
+      wings.push(slots.slice(start, start + size));
+    }
+    return wings;
+  },
+
+  // 1-based wing holding slot id, or null when it is not in the list
+  getWingOf(id, slots = this.registry) {
+    const index = slots.findIndex(specimen => specimen.id === id);
+    return index === -1 ? null : Math.floor(index / this.getWingSize()) + 1;
+  },
+
+  // ==========================================
+  // DEPLOYMENT TIMELINE - Chronology by deployedAt
+  // (Technical: dated slots oldest first, ties by slot id; open
+  // slots follow in registry order; vacant slots are left out)
+  // ==========================================
+
+  getDeploymentTime(specimen) {
+    const time = Date.parse(specimen?.deployedAt);
+    return Number.isNaN(time) ? null : time;
+  },
+
+  getTimeline(slots = this.registry) {
+    const placed = placement => slots.filter(specimen => this.lifecycle.statuses[specimen.status]?.timeline === placement);
+    const at = specimen => this.getDeploymentTime(specimen) ?? Infinity;
+
+    const dated = placed('dated').sort((a, b) => (at(a) - at(b)) || (a.id - b.id));
+    return dated.concat(placed('open'));
+  },
+
+  // ==========================================
+  // SEASON INDEX - metadata.season / metadata.episode queries
+  // (Technical: two-digit strings, as in the metadata schema)
+  // ==========================================
+
+  seasonKey(value) {
+    return String(value).padStart(2, '0');
+  },
+
+  getSeasons() {
+    const seasons = this.registry
+      .map(specimen => specimen.metadata?.season)
+      .filter(season => typeof season === 'string');
+    return [...new Set(seasons)].sort();
+  },
+
+  getBySeason(season) {
+    const key = this.seasonKey(season);
+    return this.registry.filter(specimen => specimen.metadata?.season === key);
+  },
+
+  getByEpisode(season, episode) {
+    const key = this.seasonKey(episode);
+    return this.getBySeason(season).find(specimen => specimen.metadata.episode === key) || null;
+  },
+
+  // Highest season/episode on record (within one season if given)
+  getLatestEpisode(season = null) {
+    const pool = season === null ? this.registry.filter(specimen => specimen.metadata?.season) : this.getBySeason(season);
+    return pool.reduce((latest, specimen) => {
+      if (!specimen.metadata.episode) return latest;
+      const designation = `${specimen.metadata.season}${specimen.metadata.episode}`;
+      return !latest || designation > `${latest.metadata.season}${latest.metadata.episode}` ? specimen : latest;
+    }, null);
+  },
+
+  // Grid slots for one season (null: whole registry); allSeasons
+  // statuses stay visible under every season, in registry order
+  getSeasonView(season = null) {
+    if (season === null) return this.registry.slice();
+
+    const key = this.seasonKey(season);
+    return this.registry.filter(specimen =>
+      specimen.metadata?.season === key || this.lifecycle.statuses[specimen.status]?.allSeasons
+    );
+  },
+
   countActive() {
     return this.getActive().length;
   },
@@ -314,64 +773,509 @@ const SPECIMENS = {
     return this.getInProgress().length;
   },
 
+  countReserved() {
+    return this.getReserved().length;
+  },
+
+  countDecommissioned() {
+    return this.getDecommissioned().length;
+  },
+
+  // Related specimens: companions (either direction), shared dossier,
+  // references. Reference ids outside the registry (e.g. TRF-VIS-0042)
+  // come back with specimen: null.
+  getRelated(id) {
+    const specimen = this.getById(id);
+    if (!specimen) return [];
+
+    const related = [];
+    const seen = new Set([specimen.code]);
+    const add = (kind, code) => {
+      if (seen.has(code)) return;
+      seen.add(code);
+      related.push({ kind, code, specimen: this.getByCode(code) || null });
+    };
+
+    const relations = specimen.relations || {};
+
+    (relations.companion || []).forEach(code => add('companion', code));
+    this.registry.forEach(other => {
+      if ((other.relations?.companion || []).includes(specimen.code)) {
+        add('companion', other.code);
+      }
+    });
+
+    if (relations.dossier) {
+      this.registry.forEach(other => {
+        if (other.relations?.dossier === relations.dossier) {
+          add('dossier', other.code);
+        }
+      });
+    }
+
+    (relations.references || []).forEach(code => add('reference', code));
+
+    return related;
+  },
+
   getAllIds() {
     return this.registry.map(specimen => specimen.id);
   },
 
-  validate() {
-    const requiredFields = ['id', 'code', 'status', 'color'];
-    let valid = true;
+  // ==========================================
+  // VALIDATION RULES - Declarative registry checks
+  // Each rule walks the registry and reports findings; validate()
+  // runs them all. Add a rule here rather than a branch in validate().
+  // ==========================================
 
-    this.registry.forEach((specimen, index) => {
-      requiredFields.forEach(field => {
-        if (!specimen.hasOwnProperty(field)) {
-          console.error(`❌ Specimen ${index + 1} missing field: ${field}`);
-          valid = false;
+  rules: {
+    // Field requirements, types, color, url and metadata shape per slot
+    schema(registry, report) {
+      registry.forEach((entry, index) => {
+        this.checkEntry(entry, entry?.id ?? index + 1, report);
+      });
+    },
+
+    // Slot ids run 1..n in registry order
+    slotIds(registry, report) {
+      registry.forEach((entry, index) => {
+        if (entry?.id !== index + 1) {
+          report(index + 1, 'id', 'error', `slot ${index + 1} has wrong id: ${entry?.id}`);
         }
       });
+    },
 
-      if (specimen.id !== index + 1) {
-        console.error(`❌ Specimen ${index + 1} has wrong ID: ${specimen.id}`);
-        valid = false;
-      }
+    // Registry must fit the tank (wings × wingSize from TANK_CONFIG.grid)
+    capacity(registry, report) {
+      if (typeof TANK_CONFIG === 'undefined') return;
 
-      if (!['contained', 'vacant', 'in_progress'].includes(specimen.status)) {
-        console.error(`❌ Specimen ${specimen.id} has invalid status: ${specimen.status}`);
-        valid = false;
+      const { totalSlots: capacity, wings, wingSize } = TANK_CONFIG.grid;
+      if (registry.length > capacity) {
+        report(null, 'registry', 'error', `registry holds ${registry.length} slots, tank capacity is ${capacity} (${wings} × ${wingSize}) - add a wing`);
+      } else if (registry.length < capacity) {
+        report(null, 'registry', 'warning', `${capacity - registry.length} membrane compartments have no registry slot`);
       }
+    },
 
-      if (!specimen.color || typeof specimen.color.r !== 'number') {
-        console.error(`❌ Specimen ${specimen.id} has invalid color structure`);
-        valid = false;
-      }
+    // Specimen codes are unique (bracketed placeholder codes excepted)
+    uniqueCodes(registry, report) {
+      const seen = new Map();
+      registry.forEach(entry => {
+        if (!entry?.code || /^\[.*\]$/.test(entry.code)) return;
+        if (seen.has(entry.code)) {
+          report(entry.id, 'code', 'error', `code ${entry.code} already used by slot ${seen.get(entry.code)}`);
+        } else {
+          seen.set(entry.code, entry.id);
+        }
+      });
+    },
 
-      if (specimen.status === 'contained' && !specimen.url) {
-        console.error(`❌ Specimen ${specimen.id} is contained but missing url`);
-        valid = false;
-      }
-    });
+    // One specimen per episode within a season
+    uniqueEpisodes(registry, report) {
+      const seen = new Map();
+      registry.forEach(entry => {
+        const { season, episode } = entry?.metadata || {};
+        if (!season || !episode) return;
+        const designation = `S${season}E${episode}`;
+        if (seen.has(designation)) {
+          report(entry.id, 'metadata.episode', 'error', `${designation} already assigned to slot ${seen.get(designation)}`);
+        } else {
+          seen.set(designation, entry.id);
+        }
+      });
+    },
+
+    // Leak mode carries the plaintext; gate mode only a salted hash
+    access(registry, report) {
+      const { modes, hash } = this.schema.access;
+      registry.forEach(entry => {
+        if (!entry || (entry.access === undefined && entry.passwordHash === undefined)) return;
+
+        if (!modes.includes(entry.access)) {
+          report(entry.id, 'access', 'error', `unknown access mode "${entry.access}" (expected ${modes.join(', ')})`);
+          return;
+        }
+
+        if (entry.access === 'leak' && !entry.password) {
+          report(entry.id, 'password', 'error', 'leak access needs a password');
+        }
+        if (entry.access === 'leak' && entry.passwordHash) {
+          report(entry.id, 'passwordHash', 'warning', 'passwordHash is ignored in leak mode');
+        }
+
+        if (entry.access === 'gate') {
+          if (entry.password) {
+            report(entry.id, 'password', 'error', 'gate access must not ship the plaintext password');
+          }
+          const { salt, sha256 } = entry.passwordHash || {};
+          if (typeof salt !== 'string' || !salt || typeof sha256 !== 'string' || !hash.test(sha256)) {
+            report(entry.id, 'passwordHash', 'error', 'gate access needs passwordHash {salt, sha256} (64 hex digits)');
+          }
+        }
+      });
+    },
+
+    // Preview drives the membrane organism: known shape, intensity 0-1
+    preview(registry, report) {
+      const { shapes } = this.schema.preview;
+      registry.forEach(entry => {
+        const preview = entry?.preview;
+        if (preview === null || preview === undefined || typeof preview !== 'object') return;
+
+        if (!shapes.includes(preview.shape)) {
+          report(entry.id, 'preview.shape', 'error', `unknown preview shape "${preview.shape}" (expected ${shapes.join(', ')})`);
+        }
+        if (preview.intensity !== undefined &&
+            (typeof preview.intensity !== 'number' || preview.intensity < 0 || preview.intensity > 1)) {
+          report(entry.id, 'preview.intensity', 'error', 'preview.intensity must be 0-1');
+        }
+        if (preview.pulse !== undefined && typeof preview.pulse !== 'boolean') {
+          report(entry.id, 'preview.pulse', 'error', 'preview.pulse must be true or false');
+        }
+      });
+    },
+
+    // Every behavior is one the engine knows, with a known value
+    behaviors(registry, report) {
+      const vocabulary = this.schema.behaviors;
+      registry.forEach(entry => {
+        const behaviors = entry?.behaviors;
+        if (behaviors === null || behaviors === undefined || typeof behaviors !== 'object') return;
+
+        Object.entries(behaviors).forEach(([key, value]) => {
+          const field = `behaviors.${key}`;
+          const allowed = vocabulary[key];
+
+          if (!allowed) {
+            report(entry.id, field, 'warning', `unknown behavior "${key}" is ignored by the renderer`);
+          } else if (Array.isArray(allowed)) {
+            if (!allowed.includes(value)) {
+              report(entry.id, field, 'error', `unknown ${key} "${value}" (expected ${allowed.join(', ')})`);
+            }
+          } else if (typeof value !== 'number' || value < allowed.min || value > allowed.max) {
+            report(entry.id, field, 'error', `${key} must be a number ${allowed.min}-${allowed.max}`);
+          }
+        });
 
-    if (this.registry.length !== 12) {
-      console.error(`❌ Registry should have 12 specimens, found ${this.registry.length}`);
-      valid = false;
+        // Renderer limits: vacant glass is dead, archived glass is cold
+        if (entry.status === 'vacant') {
+          report(entry.id, 'behaviors', 'warning', 'vacant membranes render no behaviors - block is ignored');
+        } else if (entry.status === 'decommissioned' && behaviors.beamReaction && behaviors.beamReaction !== 'none') {
+          report(entry.id, 'behaviors.beamReaction', 'warning', 'decommissioned membranes never reach beam contact - beamReaction is ignored');
+        }
+      });
+    },
+
+    // Retrieval progress is in_progress-only and internally consistent
+    retrieval(registry, report) {
+      registry.forEach(entry => {
+        const retrieval = entry?.retrieval;
+        if (retrieval === null || retrieval === undefined) return;
+
+        if (entry.status !== 'in_progress') {
+          report(entry.id, 'retrieval', 'error', `${entry.status} entry must not have retrieval`);
+          return;
+        }
+
+        const { stages, stage, percent, codeHint, lastSignal } = retrieval;
+        if (stages !== undefined &&
+            (!Array.isArray(stages) || stages.some(label => typeof label !== 'string'))) {
+          report(entry.id, 'retrieval.stages', 'error', 'retrieval.stages must be an array of strings');
+        }
+        if (stage !== undefined &&
+            (!Array.isArray(stages) || !Number.isInteger(stage) || stage < 0 || stage >= stages.length)) {
+          report(entry.id, 'retrieval.stage', 'error', 'retrieval.stage must index retrieval.stages');
+        }
+        if (percent !== undefined && (typeof percent !== 'number' || percent < 0 || percent > 100)) {
+          report(entry.id, 'retrieval.percent', 'error', 'retrieval.percent must be 0-100');
+        }
+        if (codeHint !== undefined && typeof codeHint !== 'string') {
+          report(entry.id, 'retrieval.codeHint', 'error', 'retrieval.codeHint must be a string');
+        }
+        if (lastSignal !== undefined && Number.isNaN(Date.parse(lastSignal))) {
+          report(entry.id, 'retrieval.lastSignal', 'error', 'retrieval.lastSignal must be an ISO timestamp');
+        }
+      });
+    },
+
+    // Scheduled slots must be releasable: the staged fields, applied
+    // the way the 'release' transition applies them, pass as contained
+    release(registry, report) {
+      const move = this.lifecycle.transitions.release;
+      registry.forEach(entry => {
+        if (!entry || (entry.releaseAt == null && entry.release == null)) return;
+
+        if (!move.from.includes(entry.status)) {
+          report(entry.id, 'releaseAt', 'error', `${entry.status} entry must not be scheduled for release`);
+          return;
+        }
+        if (typeof entry.releaseAt !== 'string' || Number.isNaN(Date.parse(entry.releaseAt))) {
+          report(entry.id, 'releaseAt', 'error', 'releaseAt must be an ISO timestamp');
+        }
+        if (!entry.release || typeof entry.release !== 'object') {
+          report(entry.id, 'release', 'error', 'scheduled slot needs a release block of staged fields');
+          return;
+        }
+
+        ['id', 'status', 'history', ...move.clears].forEach(field => {
+          if (field in entry.release) {
+            report(entry.id, `release.${field}`, 'error', `release must not stage ${field}`);
+          }
+        });
+
+        const cleared = {};
+        move.clears.forEach(field => { cleared[field] = null; });
+        const candidate = { ...entry, ...cleared, ...entry.release, status: move.to };
+        this.checkEntry(candidate, entry.id, (slot, field, severity, message) => {
+          report(slot, field ? `release.${field}` : 'release', severity, `at release: ${message}`);
+        });
+      });
+    },
+
+    // deployedAt is a calendar date; dated statuses need one for the timeline
+    deployment(registry, report) {
+      registry.forEach(entry => {
+        if (!entry) return;
+        const placement = this.lifecycle.statuses[entry.status]?.timeline;
+
+        if (entry.deployedAt === null || entry.deployedAt === undefined) {
+          if (placement === 'dated') {
+            report(entry.id, 'deployedAt', 'warning', `${entry.status} entry has no deployedAt - placed last on the timeline`);
+          }
+          return;
+        }
+
+        if (typeof entry.deployedAt !== 'string' || !this.schema.deployedAt.test(entry.deployedAt) ||
+            Number.isNaN(Date.parse(entry.deployedAt))) {
+          report(entry.id, 'deployedAt', 'error', 'deployedAt must be YYYY-MM or YYYY-MM-DD');
+        } else if (placement !== 'dated') {
+          report(entry.id, 'deployedAt', 'warning', `deployedAt is ignored on ${entry.status} slots`);
+        }
+      });
+    },
+
+    // Relations are well-formed; companions point at registry codes
+    relations(registry, report) {
+      const codes = new Set(registry.map(entry => entry?.code));
+      registry.forEach(entry => {
+        const relations = entry?.relations;
+        if (relations === null || relations === undefined) return;
+
+        ['companion', 'references'].forEach(kind => {
+          const list = relations[kind];
+          if (list !== undefined && (!Array.isArray(list) || list.some(code => typeof code !== 'string'))) {
+            report(entry.id, `relations.${kind}`, 'error', `relations.${kind} must be an array of strings`);
+          }
+        });
+        if (relations.dossier !== undefined && relations.dossier !== null && typeof relations.dossier !== 'string') {
+          report(entry.id, 'relations.dossier', 'error', 'relations.dossier must be a string');
+        }
+
+        (Array.isArray(relations.companion) ? relations.companion : []).forEach(code => {
+          if (!codes.has(code)) {
+            report(entry.id, 'relations.companion', 'warning', `companion ${code} is not in the registry`);
+          }
+        });
+      });
+    },
+
+    // Urls share one style - absolute https:// or root-relative
+    urlStyle(registry, report) {
+      const withUrl = registry.filter(entry => typeof entry?.url === 'string');
+      const absolute = withUrl.filter(entry => /^https:\/\//.test(entry.url));
+      const relative = withUrl.filter(entry => entry.url.startsWith('/'));
+      if (!absolute.length || !relative.length) return;
+
+      const [majority, minority] = absolute.length >= relative.length
+        ? ['absolute', relative]
+        : ['root-relative', absolute];
+
+      minority.forEach(entry => {
+        report(entry.id, 'url', 'warning', `url style differs from the registry's ${majority} urls`);
+      });
     }
+  },
+
+  validate(registry = this.registry) {
+    const findings = [];
+    const report = (slot, field, severity, message) => {
+      findings.push(this.finding(slot, field, severity, message));
+    };
+
+    Object.values(this.rules).forEach(rule => rule.call(this, registry, report));
+
+    return findings;
+  },
 
-    if (this.countActive() !== 4) {
-      console.error(`❌ Should have 4 contained specimens, found ${this.countActive()}`);
-      valid = false;
+  finding(slot, field, severity, message) {
+    return { slot, field, severity, message };
+  },
+
+  errorsIn(findings) {
+    return findings.filter(finding => finding.severity === 'error');
+  },
+
+  // ==========================================
+  // SLOT LIFECYCLE - Legal status moves
+  // (vacant → reserved → in_progress → contained → decommissioned)
+  // ==========================================
+
+  lifecycle: {
+    // What the renderer may do with a slot in each status
+    // (label: how the slot's status is announced to assistive tech;
+    // allSeasons: stays in the grid whichever season is selected;
+    // timeline: 'dated' by deployedAt or at the 'open' end, else absent)
+    statuses: {
+      vacant: { clickable: false, label: 'vacant' },
+      reserved: { clickable: true, label: 'reserved, designation pending', allSeasons: true, timeline: 'open' },
+      in_progress: { clickable: true, label: 'retrieval in progress', allSeasons: true, timeline: 'open' },
+      contained: { clickable: true, label: 'contained', timeline: 'dated' },
+      decommissioned: { clickable: true, label: 'decommissioned, archived', timeline: 'dated' }
+    },
+
+    // Named transitions - the only way a slot changes status
+    // (clears: fields that belong to the old status and are nulled on the move)
+    transitions: {
+      reserve: { from: ['vacant'], to: 'reserved' },
+      beginRetrieval: { from: ['vacant', 'reserved'], to: 'in_progress' },
+      promote: { from: ['in_progress'], to: 'contained', clears: ['retrieval'] },
+      release: { from: ['in_progress', 'reserved'], to: 'contained', clears: ['retrieval', 'designation', 'releaseAt', 'release'] },
+      decommission: { from: ['contained'], to: 'decommissioned' }
     }
+  },
+
+  reserve(id, fields = {}, note = '') {
+    return this.transition(id, 'reserve', fields, note);
+  },
+
+  beginRetrieval(id, fields = {}, note = '') {
+    return this.transition(id, 'beginRetrieval', fields, note);
+  },
+
+  promote(id, fields = {}, note = '') {
+    return this.transition(id, 'promote', fields, note);
+  },
+
+  decommission(id, fields = {}, note = '') {
+    return this.transition(id, 'decommission', fields, note);
+  },
+
+  // Staged fields are the transition's fields; extra fields override them
+  release(id, fields = {}, note = '') {
+    const slot = this.getById(id);
+    return this.transition(id, 'release', { ...(slot?.release || {}), ...fields }, note);
+  },
+
+  transition(id, name, fields = {}, note = '') {
+    const move = this.lifecycle.transitions[name];
+    const slot = this.getById(id);
 
-    if (this.countInProgress() !== 1) {
-      console.error(`❌ Should have 1 in-progress specimen, found ${this.countInProgress()}`);
-      valid = false;
+    if (!move) {
+      return this.refuse(id, 'status', `unknown transition "${name}"`);
+    }
+    if (!slot) {
+      return this.refuse(id, 'id', `no slot ${id} in registry`);
+    }
+    if (!move.from.includes(slot.status)) {
+      return this.refuse(id, 'status', `cannot ${name} a ${slot.status} slot (needs ${move.from.join(' or ')})`);
     }
 
-    if (this.countEmpty() !== 7) {
-      console.error(`❌ Should have 7 vacant specimens, found ${this.countEmpty()}`);
-      valid = false;
+    // TRIAL RUN - Validate the slot as it would be after the move
+    const cleared = {};
+    (move.clears || []).forEach(field => { cleared[field] = null; });
+    fields = { ...cleared, ...fields };
+
+    const candidate = { ...slot, ...fields, status: move.to };
+    const trial = this.registry.map(entry => entry === slot ? candidate : entry);
+    const findings = this.validate(trial).filter(finding => finding.slot === id);
+    if (this.errorsIn(findings).length) {
+      this.errorsIn(findings).forEach(finding => {
+        console.error(`❌ Slot ${id} ${name} refused: ${finding.message}`);
+      });
+      return { ok: false, slot, record: null, findings };
     }
 
-    return valid;
+    const record = {
+      name,
+      from: slot.status,
+      to: move.to,
+      at: new Date().toISOString(),
+      note,
+      registryVersion: this.version
+    };
+
+    Object.assign(slot, fields, { status: move.to });
+    slot.history = (slot.history || []).concat(record);
+
+    console.log(`🧬 Slot ${id}: ${record.from} → ${record.to}${note ? ` (${note})` : ''}`);
+    this.notify('transition', slot, record);
+
+    return { ok: true, slot, record, findings };
+  },
+
+  refuse(id, field, message) {
+    console.error(`❌ Slot ${id} transition refused: ${message}`);
+    return { ok: false, slot: null, record: null, findings: [this.finding(id, field, 'error', message)] };
+  },
+
+  getHistory(id) {
+    const slot = this.getById(id);
+    return slot && slot.history ? slot.history.slice() : [];
+  },
+
+  // ==========================================
+  // SCHEDULED RELEASE - releaseAt → contained, no reload
+  // (Technical: index.html calls releaseDue() on a one-second clock)
+  // ==========================================
+
+  releaseRefused: new Set(),   // Slots whose release failed - not retried
+
+  getScheduled() {
+    return this.registry.filter(specimen => specimen.releaseAt && !this.releaseRefused.has(specimen.id));
+  },
+
+  // Milliseconds until release (negative once due), null if unscheduled
+  getReleaseCountdown(id, now = Date.now()) {
+    const specimen = this.getById(id);
+    if (!specimen || !specimen.releaseAt) return null;
+
+    const time = Date.parse(specimen.releaseAt);
+    return Number.isNaN(time) ? null : time - now;
+  },
+
+  releaseDue(now = Date.now()) {
+    return this.getScheduled()
+      .filter(specimen => this.getReleaseCountdown(specimen.id, now) <= 0)
+      .map(specimen => {
+        const result = this.release(specimen.id, {}, `scheduled release ${specimen.releaseAt}`);
+        if (!result.ok) {
+          this.releaseRefused.add(specimen.id);
+        }
+        return result;
+      });
+  },
+
+  // ==========================================
+  // NEURAL NETWORK - Registry change broadcast
+  // (Technical: Observer pattern, same shape as tankDecay)
+  // ==========================================
+
+  subscribe(callback) {
+    if (typeof callback !== 'function') {
+      console.error('❌ Subscribe requires a function callback');
+      return;
+    }
+    this.listeners.push(callback);
+  },
+
+  notify(event, slot = null, record = null) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(event, slot, record);
+      } catch (error) {
+        console.error('❌ Registry listener error:', error);
+      }
+    });
   },
 
   // ==========================================
@@ -382,7 +1286,7 @@ const SPECIMENS = {
     const specimen = this.getById(id);
     if (!specimen) return null;
 
-    if (specimen.status === 'vacant') {
+    if (!this.lifecycle.statuses[specimen.status]?.clickable) {
       return null;
     }
 
@@ -391,6 +1295,26 @@ const SPECIMENS = {
         type: "error",
         title: "ERROR :: SCATTER SIGNAL",
         body: "[ retrieval in progress ]",
+        retrieval: this.getRetrievalProgress(id),
+        releaseAt: specimen.releaseAt || null,
+        buttons: [
+          {
+            text: "ACKNOWLEDGE",
+            action: "close",
+            primary: true
+          }
+        ]
+      };
+    }
+
+    if (specimen.status === 'reserved') {
+      return {
+        type: "reserved",
+        title: "RESERVED :: DESIGNATION PENDING",
+        code: specimen.code,
+        designation: specimen.designation,
+        body: "[ awaiting retrieval ]",
+        releaseAt: specimen.releaseAt || null,
         buttons: [
           {
             text: "ACKNOWLEDGE",
@@ -401,6 +1325,31 @@ const SPECIMENS = {
       };
     }
 
+    if (specimen.status === 'decommissioned') {
+      return {
+        type: "archive",
+        title: "DECOMMISSIONED :: ARCHIVE RECORD",
+        code: specimen.code,
+        status: specimen.status.toUpperCase(),
+        classification: specimen.classification,
+        deployed: specimen.deployed,
+        description: specimen.description,
+        url: specimen.url,
+        buttons: [
+          {
+            text: "OPEN ARCHIVE",
+            action: "navigate",
+            primary: true
+          },
+          {
+            text: "CANCEL",
+            action: "close",
+            primary: false
+          }
+        ]
+      };
+    }
+
     return {
       type: "specimen",
       title: "SPECIMEN CONTAINMENT PROTOCOL",
@@ -410,14 +1359,33 @@ const SPECIMENS = {
       deployed: specimen.deployed,
       description: specimen.description,
       warning: specimen.warning,
-      password: specimen.password,
+      access: this.getAccessMode(specimen),
+      password: this.getAccessMode(specimen) === 'leak' ? specimen.password : null,
       url: specimen.url,
+      dossier: specimen.relations?.dossier || null,
+      related: this.getRelated(id).map(relation => ({
+        kind: relation.kind,
+        code: relation.code,
+        id: relation.specimen && this.lifecycle.statuses[relation.specimen.status]?.clickable
+          ? relation.specimen.id
+          : null
+      })),
       buttons: [
         {
           text: "OBSERVE SPECIMEN",
-          action: "navigate",
+          action: this.getAccessMode(specimen) === 'gate' ? "unlock" : "navigate",
           primary: true
         },
+        ...(this.getAccessMode(specimen) === 'leak' ? [{
+          text: "RETRIEVE PASSWORD",
+          action: "copy-password",
+          primary: false
+        }] : []),
+        {
+          text: "COPY LINK",
+          action: "copy-link",
+          primary: false
+        },
         {
           text: "CANCEL",
           action: "close",
@@ -427,6 +1395,81 @@ const SPECIMENS = {
     };
   },
 
+  // Popup for a designation the registry does not hold (deep links)
+  getMissingPopupContent(ref) {
+    return {
+      type: "error",
+      title: "ERROR :: SPECIMEN NOT FOUND",
+      body: `[ no specimen designated ${ref} ]`,
+      buttons: [
+        {
+          text: "ACKNOWLEDGE",
+          action: "close",
+          primary: true
+        }
+      ]
+    };
+  },
+
+  // ==========================================
+  // ACCESS - Leak (clipboard) or gate (salted SHA-256 passphrase)
+  // ==========================================
+
+  // 'leak', 'gate', or null for gateless specimens
+  // (a bare password without an access field is the original leak mode)
+  getAccessMode(specimen) {
+    if (specimen.access) return specimen.access;
+    return specimen.password ? 'leak' : null;
+  },
+
+  // Web Crypto digests exist only on secure origins (https, localhost) -
+  // over plain http or file:// the gate cannot check anything
+  canCheckPassphrase() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  },
+
+  // Hex SHA-256 of salt + ':' + passphrase (trimmed, NFC-normalised)
+  async hashPassphrase(passphrase, salt) {
+    const text = `${salt}:${String(passphrase).trim().normalize('NFC')}`;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  },
+
+  async checkPassphrase(id, attempt) {
+    const specimen = this.getById(id);
+    if (!specimen || this.getAccessMode(specimen) !== 'gate' || !specimen.passwordHash) return false;
+
+    const { salt, sha256 } = specimen.passwordHash;
+    return (await this.hashPassphrase(attempt, salt)) === sha256;
+  },
+
+  // ==========================================
+  // RETRIEVAL PROGRESS - Staged readout for in_progress slots
+  // (null when the slot carries no retrieval block - stays opaque)
+  // ==========================================
+
+  getRetrievalProgress(id) {
+    const specimen = this.getById(id);
+    if (!specimen || specimen.status !== 'in_progress' || !specimen.retrieval) {
+      return null;
+    }
+
+    const { stages = [], stage = null, percent = null, codeHint = null, lastSignal = null } = specimen.retrieval;
+
+    return {
+      stages: stages.map((label, index) => ({
+        label,
+        state: stage === null ? 'pending'
+          : index < stage ? 'done'
+          : index === stage ? 'active'
+          : 'pending'
+      })),
+      percent,
+      codeHint,
+      lastSignal
+    };
+  },
+
   // ==========================================
   // GET MEMBRANE DATA - Generate membrane display data
   // ==========================================
@@ -441,9 +1484,14 @@ const SPECIMENS = {
       status: specimen.status.toUpperCase(),
       color: specimen.color,
       preview: specimen.preview,
-      clickable: specimen.status === 'contained' || specimen.status === 'in_progress',
+      clickable: Boolean(this.lifecycle.statuses[specimen.status]?.clickable),
+      statusLabel: this.lifecycle.statuses[specimen.status]?.label || specimen.status,
       isEmpty: specimen.status === 'vacant',
       isInProgress: specimen.status === 'in_progress',
+      isReserved: specimen.status === 'reserved',
+      isDecommissioned: specimen.status === 'decommissioned',
+      releaseAt: specimen.releaseAt || null,
+      progress: typeof specimen.retrieval?.percent === 'number' ? specimen.retrieval.percent / 100 : null,
       flicker: specimen.behaviors?.flicker || null,
       idleAnimation: specimen.behaviors?.idleAnimation || null
     };
@@ -458,4 +1506,9 @@ if (typeof window !== 'undefined') {
   window.SPECIMENS = SPECIMENS;
 }
 
-console.log('✔ tank-specimens.js loaded - Registry active (4 contained, 1 in-progress, 7 vacant, ELECTRIC AMBER v3.4)');
+// Deploy checks run the same validate() under Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SPECIMENS;
+}
+
+console.log(`✔ tank-specimens.js loaded - Bundled registry active (${SPECIMENS.countActive()} contained, ${SPECIMENS.countInProgress()} in-progress, ${SPECIMENS.countReserved()} reserved, ${SPECIMENS.countDecommissioned()} decommissioned, ${SPECIMENS.countEmpty()} vacant, ELECTRIC AMBER ${SPECIMENS.version})`);
@@ -0,0 +1,458 @@
+/**
+ * ============================================
+ * SPECIMEN: LOOKAWAY TANK
+ * ORGAN: TUNING PANEL
+ * RETRIEVAL: October 2025, Lookaway Archive
+ * ============================================
+ *
+ * STATUS: Operational - v1.0 DIAGNOSTICS
+ * FUNCTION: Live config overrides for whoever keeps the tank
+ * DEPENDENCIES: tank-config.js (get / extend / schema / subscribe)
+ *
+ * SURGICAL NOTES:
+ * Tuning the flicker interval, particle counts or beam speed used to
+ * mean editing tank-config.js and reloading. This hidden panel lists
+ * every TANK_CONFIG section with a typed control per value (number,
+ * text, checkbox, color, comma list; palette as a select) and pushes
+ * each change through TANK_CONFIG.set(), so subscribed organs take
+ * it live.
+ *
+ * Open with Alt+Shift+T or load the page with ?tune. Escape closes.
+ *
+ * Overrides persist in localStorage (key below) and are re-applied
+ * at boot before the organs start. EXPORT PATCH turns them into a
+ * nested JSON object shaped like TANK_CONFIG - only the changed
+ * values - to paste back into tank-config.js. Setting a value back
+ * to what shipped drops the override.
+ *
+ * Every change goes through TANK_CONFIG.extend(), so the schema
+ * (types, ranges, enums) has the last word: a refused value shows
+ * the schema's message in the status line and nothing is applied.
+ *
+ * Not listed: palettes (edit named palettes in the file) and derived
+ * values (grid.totalSlots), non-finite numbers (timings.total).
+ * ============================================
+ */
+
+const TANK_TUNING = {
+
+  storageKey: 'lookaway-tank-tuning',
+  format: 1,              // Stored shape version - other formats are discarded
+  overrides: {},          // path → value set over tank-config.js
+  baseline: {},           // path → value as shipped, for reset and diff
+  panel: null,            // <aside> once built
+  returnFocus: null,      // Element focused before the panel opened
+
+  // Top-level keys the panel leaves alone
+  hidden: ['palettes', 'listeners', 'schema'],
+
+  // ==========================================
+  // STORAGE - localStorage in, localStorage out
+  // ==========================================
+
+  load() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      console.warn('⚠️ Tuning overrides unreadable, ignoring:', error);
+    }
+
+    if (stored && stored.format === this.format && stored.overrides && typeof stored.overrides === 'object') {
+      Object.entries(stored.overrides).forEach(([path, value]) => {
+        const errors = this.apply(path, value);
+        if (errors.length) {
+          console.warn(`⚠️ Stored tuning override dropped: ${path} (${errors[0].message})`);
+        }
+      });
+    }
+
+    const count = Object.keys(this.overrides).length;
+    if (count) {
+      console.log(`🎛️ Tuning overrides applied (${count})`);
+    }
+    return this;
+  },
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ format: this.format, overrides: this.overrides }));
+    } catch (error) {
+      console.warn('⚠️ Tuning overrides not saved (storage blocked):', error);
+    }
+  },
+
+  // ==========================================
+  // OVERRIDES - every change goes through TANK_CONFIG.extend()
+  // (Technical: returns the schema errors; empty means applied)
+  // ==========================================
+
+  apply(path, value) {
+    const refused = TANK_CONFIG.checkPath(path);
+    if (refused.length) return refused;
+
+    const shipped = Object.hasOwn(this.baseline, path) ? this.baseline[path] : this.clone(TANK_CONFIG.get(path));
+    const result = TANK_CONFIG.extendAt(path, value);
+    if (!result.ok) return result.errors;
+
+    if (this.same(value, shipped)) {
+      delete this.overrides[path];
+      delete this.baseline[path];
+    } else {
+      this.baseline[path] = shipped;
+      this.overrides[path] = value;
+    }
+
+    this.save();
+    return [];
+  },
+
+  reset(path) {
+    if (Object.hasOwn(this.baseline, path)) {
+      this.apply(path, this.clone(this.baseline[path]));
+    }
+  },
+
+  resetAll() {
+    Object.keys(this.overrides).forEach(path => this.reset(path));
+    console.log('🧹 Tuning overrides cleared');
+  },
+
+  clone(value) {
+    return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  },
+
+  same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  },
+
+  // ==========================================
+  // PATCH - overrides as a nested partial of TANK_CONFIG
+  // ==========================================
+
+  getPatch() {
+    const patch = {};
+    Object.keys(this.overrides).sort().forEach(path => {
+      const parts = path.split('.');
+      const key = parts.pop();
+      const node = parts.reduce((parent, part) => (parent[part] = parent[part] || {}), patch);
+      node[key] = this.overrides[path];
+    });
+    return patch;
+  },
+
+  exportPatch() {
+    return JSON.stringify(this.getPatch(), null, 2);
+  },
+
+  // ==========================================
+  // FIELDS - typed leaves of TANK_CONFIG
+  // (Technical: [{ path, type, value }] per section)
+  // ==========================================
+
+  controlType(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? 'number' : null;
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'string') return 'string';
+    if (Array.isArray(value)) return value.every(item => typeof item === 'string') ? 'list' : null;
+    if (value && typeof value === 'object' && Object.keys(value).length === 3 &&
+        ['r', 'g', 'b'].every(channel => typeof value[channel] === 'number')) return 'color';
+    return null;
+  },
+
+  fields(node, prefix) {
+    return Object.keys(node).flatMap(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(node, key);
+      if (!descriptor || descriptor.get || typeof descriptor.value === 'function') return [];
+
+      const path = `${prefix}.${key}`;
+      const type = this.controlType(descriptor.value);
+      if (type) return [{ path, type, value: descriptor.value }];
+      if (descriptor.value && typeof descriptor.value === 'object' && !Array.isArray(descriptor.value)) {
+        return this.fields(descriptor.value, path);
+      }
+      return [];
+    });
+  },
+
+  sections() {
+    return Object.keys(TANK_CONFIG)
+      .filter(key => !this.hidden.includes(key) && typeof TANK_CONFIG[key] !== 'function')
+      .map(key => {
+        const value = TANK_CONFIG[key];
+        const type = this.controlType(value);
+        const fields = type ? [{ path: key, type, value }] : this.fields(value, key);
+        return { name: key, fields };
+      })
+      .filter(section => section.fields.length);
+  },
+
+  // ==========================================
+  // PANEL - built on first open
+  // ==========================================
+
+  build() {
+    const panel = document.createElement('aside');
+    panel.className = 'tuning-panel';
+    panel.id = 'tuningPanel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Tank tuning');
+    panel.hidden = true;
+
+    const header = document.createElement('div');
+    header.className = 'tuning-header';
+    header.textContent = 'TANK TUNING :: DIAGNOSTICS';
+
+    const status = document.createElement('div');
+    status.className = 'tuning-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const sections = document.createElement('div');
+    sections.className = 'tuning-sections';
+
+    const patch = document.createElement('textarea');
+    patch.className = 'tuning-patch';
+    patch.readOnly = true;
+    patch.hidden = true;
+    patch.setAttribute('aria-label', 'Config patch');
+    patch.addEventListener('focus', () => patch.select());
+
+    const actions = document.createElement('div');
+    actions.className = 'tuning-actions';
+    [
+      ['EXPORT PATCH', () => this.showPatch()],
+      ['RESET ALL', () => { this.resetAll(); this.render(); }],
+      ['CLOSE', () => this.close()]
+    ].forEach(([text, handler]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tuning-button';
+      button.textContent = text;
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
+    });
+
+    panel.append(header, status, sections, patch, actions);
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      }
+    });
+
+    document.body.appendChild(panel);
+    this.panel = panel;
+  },
+
+  render() {
+    const container = this.panel.querySelector('.tuning-sections');
+    const open = new Set(Array.from(container.querySelectorAll('details[open]')).map(details => details.dataset.section));
+    container.innerHTML = '';
+
+    this.sections().forEach(section => {
+      const details = document.createElement('details');
+      details.className = 'tuning-section';
+      details.dataset.section = section.name;
+      details.open = open.has(section.name);
+
+      const summary = document.createElement('summary');
+      details.appendChild(summary);
+
+      section.fields.forEach(field => details.appendChild(this.row(field, section.name)));
+      container.appendChild(details);
+    });
+
+    this.updateStatus();
+  },
+
+  row(field, sectionName) {
+    const row = document.createElement('div');
+    row.className = 'tuning-row';
+    row.dataset.path = field.path;
+
+    const id = `tune-${field.path.replace(/\./g, '-')}`;
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = field.path === sectionName ? field.path : field.path.slice(sectionName.length + 1);
+
+    const control = this.control(field, id);
+
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'tuning-reset';
+    reset.textContent = '↺';
+    reset.setAttribute('aria-label', `Reset ${field.path}`);
+    reset.addEventListener('click', () => {
+      this.reset(field.path);
+      this.render();
+    });
+
+    row.append(label, control, reset);
+    return row;
+  },
+
+  control(field, id) {
+    const { path, type, value } = field;
+    let input;
+
+    if (type === 'string' && path === 'palette') {
+      input = document.createElement('select');
+      Object.keys(TANK_CONFIG.palettes).forEach(name => {
+        const option = document.createElement('option');
+        option.value = option.textContent = name;
+        input.appendChild(option);
+      });
+      input.value = value;
+    } else {
+      input = document.createElement('input');
+      input.type = { number: 'number', boolean: 'checkbox', color: 'color' }[type] || 'text';
+      if (type === 'number') this.bound(input, path);
+      if (type === 'boolean') input.checked = value;
+      else input.value = type === 'color' ? this.toHex(value) : type === 'list' ? value.join(', ') : value;
+    }
+
+    input.id = id;
+    input.className = 'tuning-control';
+
+    // Colors follow the picker live; typed values apply on commit
+    input.addEventListener(type === 'color' ? 'input' : 'change', () => {
+      const next = this.readControl(input, type);
+      if (next === null) {
+        this.updateStatus(`REFUSED :: ${path}`);
+        return;
+      }
+      const errors = this.apply(path, next);
+      if (errors.length) {
+        this.updateStatus(`REFUSED :: ${errors[0].path} :: ${errors[0].message}`);
+        return;
+      }
+      this.updateStatus();
+    });
+
+    return input;
+  },
+
+  // Schema range on number inputs (integers step by 1)
+  bound(input, path) {
+    const rule = path.split('.').reduce((node, part) => (node ? node[part] : undefined), TANK_CONFIG.schema) || {};
+    input.step = rule.type === 'integer' ? '1' : 'any';
+    if (rule.min !== undefined) input.min = rule.min;
+    if (rule.max !== undefined) input.max = rule.max;
+  },
+
+  readControl(input, type) {
+    switch (type) {
+      case 'number': {
+        const number = Number(input.value);
+        return input.value.trim() !== '' && Number.isFinite(number) ? number : null;
+      }
+      case 'boolean': return input.checked;
+      case 'color': return this.fromHex(input.value);
+      case 'list': return input.value.split(',').map(item => item.trim()).filter(Boolean);
+      default: return input.value;
+    }
+  },
+
+  toHex({ r, g, b }) {
+    return '#' + [r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+  },
+
+  fromHex(hex) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    return match ? { r: parseInt(match[1], 16), g: parseInt(match[2], 16), b: parseInt(match[3], 16) } : null;
+  },
+
+  // Override counts on the status line, section summaries and rows
+  updateStatus(message) {
+    const count = Object.keys(this.overrides).length;
+    this.panel.querySelector('.tuning-status').textContent =
+      message || `${count} ${count === 1 ? 'OVERRIDE' : 'OVERRIDES'} :: STORED IN THIS BROWSER`;
+
+    this.panel.querySelectorAll('.tuning-section').forEach(details => {
+      const name = details.dataset.section;
+      const changed = Object.keys(this.overrides)
+        .filter(path => path === name || path.startsWith(`${name}.`)).length;
+      details.querySelector('summary').textContent = changed ? `${name} (${changed})` : name;
+    });
+
+    this.panel.querySelectorAll('.tuning-row').forEach(row => {
+      row.classList.toggle('overridden', Object.hasOwn(this.overrides, row.dataset.path));
+    });
+  },
+
+  showPatch() {
+    const patch = this.panel.querySelector('.tuning-patch');
+    const count = Object.keys(this.overrides).length;
+
+    // Shown selected, ready to copy - no forced download
+    patch.value = this.exportPatch();
+    patch.hidden = false;
+    patch.focus();
+    patch.select();
+
+    this.updateStatus(`PATCH :: ${count} ${count === 1 ? 'VALUE' : 'VALUES'} - PASTE INTO tank-config.js`);
+  },
+
+  // ==========================================
+  // OPEN / CLOSE - Alt+Shift+T or ?tune
+  // ==========================================
+
+  open() {
+    if (!this.panel) this.build();
+    if (!this.panel.hidden) return;
+
+    this.returnFocus = document.activeElement;
+    this.panel.querySelector('.tuning-patch').hidden = true;
+    this.render();
+    this.panel.hidden = false;
+    this.panel.querySelector('summary').focus();
+    console.log('🎛️ Tuning panel open');
+  },
+
+  close() {
+    if (!this.panel || this.panel.hidden) return;
+
+    this.panel.hidden = true;
+    const opener = this.returnFocus;
+    this.returnFocus = null;
+    if (opener && opener !== document.body && document.contains(opener)) {
+      opener.focus();
+    }
+  },
+
+  toggle() {
+    if (this.panel && !this.panel.hidden) this.close();
+    else this.open();
+  },
+
+  bind() {
+    document.addEventListener('keydown', (e) => {
+      if (e.altKey && e.shiftKey && e.code === 'KeyT') {
+        e.preventDefault();
+        this.toggle();
+      }
+    });
+
+    if (new URLSearchParams(location.search).has('tune')) {
+      this.open();
+    }
+  }
+};
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// ==========================================
+
+if (typeof TANK_CONFIG === 'undefined') {
+  console.error('❌ tank-tuning.js requires tank-config.js to be loaded first!');
+}
+
+// ==========================================
+// EXPORT VERIFICATION
+// ==========================================
+
+if (typeof window !== 'undefined') {
+  window.TANK_TUNING = TANK_TUNING;
+}
+
+console.log('✔ tank-tuning.js loaded - Tuning panel ready (Alt+Shift+T)');
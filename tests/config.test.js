@@ -0,0 +1,61 @@
+/**
+ * ============================================
+ * SPECIMEN: LOOKAWAY TANK
+ * TEST: ORGANISM CONSTANTS ARCHIVE
+ * ============================================
+ *
+ * extend() must refuse a partial that breaks a cross-field rule and
+ * leave the config untouched. Run after touching the schema:
+ *   node --test tests/
+ * ============================================
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TANK_CONFIG = require('../tank-config.js');
+
+const snapshot = () => JSON.parse(JSON.stringify(TANK_CONFIG.breathing));
+
+// ==========================================
+// ORDERED PAIRS - opacityMin may not exceed opacityMax
+// ==========================================
+
+test('shipped config passes validation', () => {
+  assert.deepEqual(TANK_CONFIG.validate(), []);
+});
+
+test('extend refuses an inverted breathing opacity range', () => {
+  const before = snapshot();
+  const result = TANK_CONFIG.extend({ breathing: { preservation: { opacityMin: 0.9, opacityMax: 0.1 } } });
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.errors.map(error => error.path), ['breathing.preservation.opacityMin']);
+  assert.deepEqual(result.changed, []);
+  assert.deepEqual(snapshot(), before);
+});
+
+test('extend refuses one side moving past the stored other side', () => {
+  const before = snapshot();
+  const result = TANK_CONFIG.extend({ breathing: { flicker: { opacityMin: before.flicker.opacityMax + 0.05 } } });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.errors[0].path, 'breathing.flicker.opacityMin');
+  assert.deepEqual(snapshot(), before);
+});
+
+test('a single leaf is refused when it inverts the range', () => {
+  const before = snapshot();
+  const result = TANK_CONFIG.extendAt('breathing.preservation.opacityMax', before.preservation.opacityMin - 0.1);
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(snapshot(), before);
+});
+
+test('extend accepts an ordered pair', () => {
+  const result = TANK_CONFIG.extend({ breathing: { preservation: { opacityMin: 0.2, opacityMax: 0.3 } } });
+
+  assert.equal(result.ok, true);
+  assert.equal(TANK_CONFIG.breathing.preservation.opacityMin, 0.2);
+  assert.equal(TANK_CONFIG.breathing.preservation.opacityMax, 0.3);
+});
@@ -0,0 +1,124 @@
+/**
+ * ============================================
+ * SPECIMEN: LOOKAWAY TANK
+ * TEST: RENDERING MEMBRANE
+ * ============================================
+ *
+ * Hostile registry content must render inert: every popup type is
+ * built from each fixture below and the output may carry only the
+ * markup the templates themselves write. Kept out of tank-render.js
+ * so visitors never download it. Run after touching the templates:
+ *   node --test tests/
+ * ============================================
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TANK_RENDER = require('../tank-render.js');
+
+// ==========================================
+// HOSTILE FIXTURES - registry strings trying to become markup
+// ==========================================
+
+const hostileFixtures = [
+  '<img src=x onerror="alert(1)">',
+  '<script>alert(1)</script>',
+  '"><svg onload=alert(1)>',
+  "'><iframe src=javascript:alert(1)>",
+  '<strong onclick="alert(1)">bold</strong>',
+  '</div></div><div class="popup-overlay active">',
+  '<em>unclosed emphasis',
+  '&lt;img src=x onerror=alert(1)&gt;'
+];
+
+// Everything the templates themselves may write
+const templateTags = ['div', 'span', 'button', 'label', 'input', ...TANK_RENDER.markupTags];
+const voidTags = ['br', 'input'];
+const templateAttrs = /^(\s+(class|id|for|type|autocomplete|spellcheck|role|aria-live|data-action|data-target)="[^"<>]*")*\s*$/;
+
+// Foreign tags, foreign attributes and unbalanced tags in a fragment
+function inspect(fragment) {
+  const problems = [];
+  const depth = {};
+
+  fragment.html.replace(/<(\/?)([a-zA-Z][\w-]*)([^>]*)>/g, (match, closing, name, attrs) => {
+    const tag = name.toLowerCase();
+    if (!templateTags.includes(tag)) problems.push(`foreign tag <${tag}>`);
+    if (!templateAttrs.test(attrs)) problems.push(`foreign attributes on <${tag}>`);
+    if (!voidTags.includes(tag)) depth[tag] = (depth[tag] || 0) + (closing ? -1 : 1);
+    return match;
+  });
+
+  Object.entries(depth)
+    .filter(([, open]) => open !== 0)
+    .forEach(([tag]) => problems.push(`<${tag}> left unbalanced`));
+
+  return problems;
+}
+
+function hostileFields(hostile) {
+  return {
+    title: hostile, body: hostile, code: hostile, designation: hostile,
+    status: hostile, classification: hostile, deployed: hostile,
+    description: hostile, warning: hostile, password: hostile,
+    dossier: hostile, releaseAt: hostile,
+    related: [
+      { kind: 'companion', code: hostile, id: 1 },
+      { kind: 'reference', code: hostile, id: null }
+    ],
+    retrieval: {
+      stages: [{ label: hostile, state: 'done' }, { label: hostile, state: 'active' }],
+      percent: 40,
+      codeHint: hostile,
+      lastSignal: null
+    },
+    entries: [{ code: hostile, opened: hostile, observed: 1, version: hostile, last: hostile }]
+  };
+}
+
+// ==========================================
+// POPUP TEMPLATES - every type, every fixture
+// ==========================================
+
+hostileFixtures.forEach((hostile, n) => {
+  const fields = hostileFields(hostile);
+
+  Object.keys(TANK_RENDER.popupTemplates).forEach(type => {
+    test(`fixture ${n + 1} renders inert (${type} popup)`, () => {
+      assert.deepEqual(inspect(TANK_RENDER.popupBody({ ...fields, type })), []);
+    });
+  });
+
+  ['leak', 'gate'].forEach(access => {
+    test(`fixture ${n + 1} renders inert (specimen popup, ${access})`, () => {
+      assert.deepEqual(inspect(TANK_RENDER.popupBody({ ...fields, type: 'specimen', access })), []);
+    });
+  });
+});
+
+// ==========================================
+// INTENTIONAL FORMATTING - still renders
+// ==========================================
+
+test('markup keeps whitelisted emphasis', () => {
+  assert.equal(TANK_RENDER.markup('<strong>LIVE</strong> <em>signal</em><br>').html, '<strong>LIVE</strong> <em>signal</em><br>');
+});
+
+test('markup closes unclosed emphasis', () => {
+  assert.equal(TANK_RENDER.markup('<em>open').html, '<em>open</em>');
+});
+
+test('markup leaves attributed tags as text', () => {
+  assert.equal(TANK_RENDER.markup('<b class="x">t</b>').html, '&lt;b class=&quot;x&quot;&gt;t&lt;/b&gt;');
+});
+
+test('countdown formats days and clamps at zero', () => {
+  assert.equal(TANK_RENDER.formatCountdown(90061000), 'T-MINUS 1d 01:01:01');
+  assert.equal(TANK_RENDER.formatCountdown(-5000), 'T-MINUS 00:00:00');
+});
+
+test('mount treats plain strings as text', () => {
+  assert.equal(TANK_RENDER.isSafe('<img src=x>'), false);
+  assert.equal(TANK_RENDER.interpolate('<img src=x>'), '&lt;img src=x&gt;');
+});